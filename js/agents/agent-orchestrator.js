@@ -28,12 +28,18 @@ class AgentOrchestrator {
             // Initialize all agents
             await this.initializeAgents();
             
+            // Restore histories and learned weights from the last session
+            this.restoreState();
+            
             // Setup inter-agent communication
             this.setupMessageBus();
             
             // Start autonomous decision loop
             this.startAutonomousLoop();
             
+            // Final checkpoint when the page goes away
+            window.addEventListener('beforeunload', () => this.checkpointState());
+            
             console.log('✅ Agentic system fully operational');
         } catch (error) {
             console.error('❌ Failed to initialize agentic system:', error);
@@ -267,6 +273,10 @@ class AgentOrchestrator {
         setInterval(() => {
             this.autonomousLearning();
         }, 300000); // Every 5 minutes
+
+        setInterval(() => {
+            this.checkpointState();
+        }, 60000); // Every minute
     }
 
     autonomousHealthCheck() {
@@ -539,6 +549,90 @@ class AgentOrchestrator {
         this.systemState.adaptiveSettings[key].weight = Math.max(0.1, this.systemState.adaptiveSettings[key].weight - 0.1);
     }
 
+    // State persistence (AgentStateStore)
+    getCheckpoint() {
+        return {
+            decisionHistory: this.decisionHistory.slice(-200),
+            adaptiveSettings: this.systemState.adaptiveSettings
+        };
+    }
+
+    /**
+     * @param {Object} options - { replace: true } discards the running state (brain import);
+     *                           otherwise anything recorded since startup is kept on top
+     */
+    restoreCheckpoint(state, options = {}) {
+        if (Array.isArray(state.decisionHistory)) {
+            this.decisionHistory = options.replace
+                ? state.decisionHistory.slice()
+                : [...state.decisionHistory, ...this.decisionHistory];
+        }
+        if (state.adaptiveSettings) {
+            this.systemState.adaptiveSettings = options.replace
+                ? { ...state.adaptiveSettings }
+                : { ...state.adaptiveSettings, ...this.systemState.adaptiveSettings };
+        }
+    }
+
+    /**
+     * Save the orchestrator's and every agent's checkpoint in one write
+     */
+    checkpointState() {
+        if (!window.agentStateStore) return false;
+
+        const states = { AgentOrchestrator: this.getCheckpoint() };
+        this.agents.forEach((agent, name) => {
+            if (typeof agent.getCheckpoint === 'function') {
+                try {
+                    states[name] = agent.getCheckpoint();
+                } catch (error) {
+                    console.warn(`Checkpoint failed for ${name}:`, error.message);
+                }
+            }
+        });
+
+        return window.agentStateStore.saveAgentStates(states);
+    }
+
+    /**
+     * Hand each agent its saved state; agents without saved state start fresh
+     * @param {Object} options - { replace: true } to overwrite the running state
+     */
+    restoreState(options = {}) {
+        if (!window.agentStateStore) return;
+
+        const { agents } = window.agentStateStore.load();
+        const restore = (name, target) => {
+            const saved = agents[name]?.state;
+            if (!saved || typeof target.restoreCheckpoint !== 'function') return;
+            try {
+                target.restoreCheckpoint(saved, options);
+            } catch (error) {
+                console.warn(`Could not restore ${name} state:`, error.message);
+            }
+        };
+
+        restore('AgentOrchestrator', this);
+        this.agents.forEach((agent, name) => restore(name, agent));
+    }
+
+    /**
+     * Current agent brain (all checkpoints) as JSON
+     */
+    exportBrain() {
+        this.checkpointState();
+        return window.agentStateStore.exportBrain();
+    }
+
+    /**
+     * Load an exported brain into storage and the running agents, replacing
+     * what they have learned this session
+     */
+    importBrain(json) {
+        window.agentStateStore.importBrain(json);
+        this.restoreState({ replace: true });
+    }
+
     // Public API
     getSystemState() {
         return { ...this.systemState };
@@ -0,0 +1,162 @@
+/**
+ * RFFL Agent State Store - Versioned persistence for agent learning
+ * Agents checkpoint their histories and learned parameters here so they
+ * survive reloads. The stored document carries a schema version; older
+ * documents (from storage or an imported brain file) are upgraded through
+ * the migrations registry before use.
+ *
+ * Document shape (schema v1):
+ *   { schemaVersion, savedAt, agents: { [agentName]: { savedAt, state } } }
+ */
+
+class AgentStateStore {
+    constructor() {
+        this.storageKey = 'rffl-agent-state';
+        this.schemaVersion = 1;
+        this.memory = null; // Fallback when localStorage is unavailable
+        this.migrations = new Map();
+
+        this.setupMigrations();
+    }
+
+    /**
+     * migrations.get(n) upgrades a version n-1 document to version n
+     */
+    setupMigrations() {
+        // v0 → v1: unversioned documents were a bare { agentName: state } map
+        this.migrations.set(1, (document) => {
+            const { savedAt = null, ...agents } = document;
+            return {
+                schemaVersion: 1,
+                savedAt,
+                agents: Object.fromEntries(
+                    Object.entries(agents).map(([name, state]) => [name, { savedAt, state }])
+                )
+            };
+        });
+    }
+
+    /**
+     * Upgrade a document to the current schema
+     * @throws {Error} - when the document is newer than this code understands
+     */
+    migrate(document) {
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            throw new Error('Agent state must be a JSON object');
+        }
+
+        let current = document;
+        let version = Number.isInteger(document.schemaVersion) ? document.schemaVersion : 0;
+        if (version > this.schemaVersion) {
+            throw new Error(`Agent state schema v${version} is newer than supported v${this.schemaVersion}`);
+        }
+
+        while (version < this.schemaVersion) {
+            version++;
+            current = this.migrations.get(version)(current);
+        }
+        return current;
+    }
+
+    /**
+     * Stored document at the current schema (empty when nothing is saved or
+     * the stored copy can't be read)
+     */
+    load() {
+        const raw = this.read();
+        if (!raw) return this.createDocument();
+
+        try {
+            return this.migrate(JSON.parse(raw));
+        } catch (error) {
+            console.warn('Ignoring stored agent state:', error.message);
+            return this.createDocument();
+        }
+    }
+
+    createDocument() {
+        return { schemaVersion: this.schemaVersion, savedAt: null, agents: {} };
+    }
+
+    getAgentState(name) {
+        return this.load().agents[name]?.state || null;
+    }
+
+    /**
+     * Save checkpoints for several agents in one write
+     * @param {Object} states - { agentName: state }
+     */
+    saveAgentStates(states) {
+        const document = this.load();
+        const savedAt = Date.now();
+
+        Object.entries(states).forEach(([name, state]) => {
+            document.agents[name] = { savedAt, state };
+        });
+        document.savedAt = savedAt;
+
+        return this.write(document);
+    }
+
+    /**
+     * The whole agent brain as a downloadable JSON string
+     */
+    exportBrain() {
+        return JSON.stringify({ ...this.load(), exportedAt: new Date().toISOString() }, null, 2);
+    }
+
+    /**
+     * Replace the stored brain with an exported one (any supported schema)
+     * @returns {Object} - the migrated document
+     */
+    importBrain(json) {
+        let parsed;
+        try {
+            parsed = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            throw new Error(`Agent brain is not valid JSON: ${error.message}`);
+        }
+
+        const { exportedAt, ...document } = this.migrate(parsed);
+        if (!document.agents || typeof document.agents !== 'object') {
+            throw new Error('Agent brain has no agents section');
+        }
+
+        this.write(document);
+        return document;
+    }
+
+    clear() {
+        this.memory = null;
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Storage unavailable: the in-memory copy was all there was
+        }
+    }
+
+    read() {
+        try {
+            return localStorage.getItem(this.storageKey) ?? this.memory;
+        } catch (error) {
+            return this.memory;
+        }
+    }
+
+    write(document) {
+        const json = JSON.stringify(document);
+        this.memory = json;
+
+        try {
+            localStorage.setItem(this.storageKey, json);
+            return true;
+        } catch (error) {
+            // Missing storage or quota exceeded: keep the in-memory copy
+            console.warn('Agent state not persisted:', error.message);
+            return false;
+        }
+    }
+}
+
+// Create global instance
+window.agentStateStore = new AgentStateStore();
@@ -557,7 +557,8 @@ class DataAgent {
         
         if (typeof data.median !== 'number') issues.push('Invalid median value');
         if (!Array.isArray(data.teams)) issues.push('Invalid teams array');
-        if (data.teams && data.teams.length !== 12) issues.push('Expected 12 teams');
+        const expectedTeams = window.medianCalculator?.teamCount;
+        if (data.teams && expectedTeams && data.teams.length !== expectedTeams) issues.push(`Expected ${expectedTeams} teams`);
         
         const quality = issues.length === 0 ? 1.0 : 0.5;
         return { quality, issues };
@@ -724,6 +725,32 @@ class DataAgent {
         return this.state.lastActivity;
     }
 
+    getCheckpoint() {
+        // Unexpired cache entries only; the rest would be dropped on first read anyway
+        const now = Date.now();
+        const entries = [];
+        this.intelligentCache.metadata.forEach((metadata, key) => {
+            if (now - metadata.timestamp <= metadata.ttl) {
+                entries.push({ key, value: this.intelligentCache.data.get(key), metadata });
+            }
+        });
+
+        return { cacheEntries: entries, cacheHitRate: this.state.cacheHitRate };
+    }
+
+    restoreCheckpoint(state, options = {}) {
+        // Startup keeps entries fetched since; an import overwrites them
+        (state.cacheEntries || []).forEach(({ key, value, metadata }) => {
+            if (!metadata || (!options.replace && this.intelligentCache.data.has(key))) return;
+            if (Date.now() - metadata.timestamp > metadata.ttl) return;
+            this.intelligentCache.data.set(key, value);
+            this.intelligentCache.metadata.set(key, metadata);
+        });
+        if (typeof state.cacheHitRate === 'number') {
+            this.state.cacheHitRate = state.cacheHitRate;
+        }
+    }
+
     pause() {
         this.state.isActive = false;
         console.log('⏸️ Data Agent paused');
@@ -289,7 +289,11 @@ class PredictiveAgent {
                     throw new Error(`Unknown learning algorithm: ${algorithm}`);
                 }
                 
-                return learningAlgorithm.learn(features, targets);
+                // Keep the learned parameters (weights, tree, centroids) on the
+                // algorithm so predict() and checkpoints can use them
+                const learned = learningAlgorithm.learn(features, targets);
+                Object.assign(learningAlgorithm, learned);
+                return learned;
             },
             
             // Prediction
@@ -1199,7 +1203,8 @@ class PredictiveAgent {
 
     // Insight Generation
     generateInsights(predictions) {
-        const insights = [];
+        // The followed team (window.myTeam) leads the list
+        const insights = this.generateMyTeamInsights(predictions);
         
         // Median insights
         if (predictions.median && predictions.median.trend) {
@@ -1239,6 +1244,44 @@ class PredictiveAgent {
         return insights;
     }
 
+    /**
+     * Insights about the followed team: where it stands against the median
+     * and any ranking change predicted for it
+     */
+    generateMyTeamInsights(predictions) {
+        const results = window.rfflApp?.currentMedianResults;
+        const status = window.myTeam ? window.myTeam.buildStatus(results) : null;
+        if (!status) return [];
+        
+        const insights = [{
+            type: 'my_team_median',
+            team: status.team,
+            focus: true,
+            message: window.myTeam.formatHeadline(status),
+            confidence: predictions.median?.confidence ?? null,
+            actionable: status.pointsNeeded > 0,
+            recommendation: status.projectedMargin !== null && status.projectedMargin < 0
+                ? `Projected to finish ${Math.abs(status.projectedMargin).toFixed(2)} below the median`
+                : null
+        }];
+        
+        const rankings = this.getCurrentRankings();
+        const change = predictions.rankings?.changes?.find(entry =>
+            window.myTeam.isMine(rankings[entry.currentRank - 1]));
+        if (change) {
+            insights.push({
+                type: 'my_team_ranking',
+                team: status.team,
+                focus: true,
+                message: `${status.team} may move ${change.direction} from #${change.currentRank}`,
+                confidence: change.confidence,
+                actionable: false
+            });
+        }
+        
+        return insights;
+    }
+
     generateTrendInsights(trends) {
         const insights = [];
         
@@ -1572,6 +1615,43 @@ class PredictiveAgent {
         return this.state.lastActivity;
     }
 
+    getCheckpoint() {
+        return {
+            predictionAccuracy: this.state.predictionAccuracy,
+            learningRate: this.state.learningRate,
+            historicalData: Object.fromEntries(this.historicalData),
+            models: Object.fromEntries([...this.predictionModels].map(([name, model]) =>
+                [name, { accuracy: model.accuracy, confidence: model.confidence }])),
+            learnedParameters: Object.fromEntries([...this.learningAlgorithms]
+                .filter(([, algorithm]) => algorithm.trained)
+                .map(([name, algorithm]) => [name, {
+                    trained: true,
+                    weights: algorithm.weights,
+                    tree: algorithm.tree,
+                    centroids: algorithm.centroids
+                }]))
+        };
+    }
+
+    restoreCheckpoint(state, options = {}) {
+        ['predictionAccuracy', 'learningRate'].forEach(key => {
+            if (typeof state[key] === 'number') this.state[key] = state[key];
+        });
+        Object.entries(state.historicalData || {}).forEach(([type, values]) => {
+            if (!Array.isArray(values)) return;
+            const current = options.replace ? [] : this.historicalData.get(type) || [];
+            this.historicalData.set(type, [...values, ...current].slice(-1000));
+        });
+        Object.entries(state.models || {}).forEach(([name, saved]) => {
+            const model = this.predictionModels.get(name);
+            if (model) Object.assign(model, saved);
+        });
+        Object.entries(state.learnedParameters || {}).forEach(([name, saved]) => {
+            const algorithm = this.learningAlgorithms.get(name);
+            if (algorithm) Object.assign(algorithm, saved);
+        });
+    }
+
     pause() {
         this.state.isActive = false;
         console.log('⏸️ Predictive Agent paused');
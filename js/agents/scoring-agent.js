@@ -22,6 +22,7 @@ class ScoringAgent {
         };
 
         this.medianHistory = [];
+        this.snapshotMedians = []; // Persisted medians from SnapshotStore
         this.anomalyDetectors = new Map();
         this.scoringAlgorithms = new Map();
         this.validationRules = new Map();
@@ -35,6 +36,9 @@ class ScoringAgent {
     async initialize() {
         console.log('🎯 Initializing Scoring Agent...');
         
+        // Medians from earlier sessions, for historical anomaly detection
+        await this.loadSnapshotMedians();
+        
         // Setup intelligent median calculation
         this.setupIntelligentMedianCalculation();
         
@@ -468,7 +472,7 @@ class ScoringAgent {
     }
 
     detectHistoricalAnomalies(median, scores) {
-        const historicalMedians = this.medianHistory.map(h => h.median);
+        const historicalMedians = [...this.snapshotMedians, ...this.medianHistory.map(h => h.median)];
         if (historicalMedians.length < 5) {
             return { hasAnomalies: false, anomalies: [], severity: 0 };
         }
@@ -632,6 +636,17 @@ class ScoringAgent {
     }
 
     // Performance and Learning Methods
+    async loadSnapshotMedians() {
+        if (!window.snapshotStore) return;
+
+        try {
+            const snapshots = await window.snapshotStore.getRecent(100);
+            this.snapshotMedians = snapshots.map(snapshot => snapshot.median);
+        } catch (error) {
+            console.warn('Scoring Agent: snapshot history unavailable:', error.message);
+        }
+    }
+
     storeCalculationHistory(result) {
         this.medianHistory.push({
             timestamp: Date.now(),
@@ -906,6 +921,37 @@ class ScoringAgent {
         return this.state.lastActivity;
     }
 
+    getCheckpoint() {
+        return {
+            medianHistory: this.medianHistory,
+            calculationAccuracy: this.state.calculationAccuracy,
+            detectorSensitivity: Object.fromEntries(
+                [...this.anomalyDetectors].map(([name, detector]) => [name, detector.sensitivity])
+            ),
+            algorithmPriority: Object.fromEntries(
+                [...this.scoringAlgorithms].map(([name, algorithm]) => [name, algorithm.priority])
+            )
+        };
+    }
+
+    restoreCheckpoint(state, options = {}) {
+        if (Array.isArray(state.medianHistory)) {
+            const current = options.replace ? [] : this.medianHistory;
+            this.medianHistory = [...state.medianHistory, ...current].slice(-100);
+        }
+        if (typeof state.calculationAccuracy === 'number') {
+            this.state.calculationAccuracy = state.calculationAccuracy;
+        }
+        Object.entries(state.detectorSensitivity || {}).forEach(([name, sensitivity]) => {
+            const detector = this.anomalyDetectors.get(name);
+            if (detector && typeof sensitivity === 'number') detector.sensitivity = sensitivity;
+        });
+        Object.entries(state.algorithmPriority || {}).forEach(([name, priority]) => {
+            const algorithm = this.scoringAlgorithms.get(name);
+            if (algorithm && typeof priority === 'number') algorithm.priority = priority;
+        });
+    }
+
     pause() {
         this.state.isActive = false;
         console.log('⏸️ Scoring Agent paused');
@@ -0,0 +1,570 @@
+/**
+ * RFFL Data Parsers - Shared readers for the CLI project's data files
+ * One RFC 4180 CSV reader and one YAML subset parser used by every service
+ * that loads canonical_teams.csv, alias_mapping.yaml or the history archive.
+ * Malformed input throws a DataParseError carrying the source and line number.
+ *
+ * YAML subset: block mappings and sequences (including "- key: value" items),
+ * comments, plain/single-/double-quoted scalars (quoted ones may span lines),
+ * folded plain continuation lines, | and > block scalars, and flat flow
+ * collections ([a, b], {a: 1}). Anchors, aliases, tags and multiple
+ * documents are not supported.
+ */
+
+class DataParseError extends Error {
+    constructor(message, line = null, source = null) {
+        const location = [source, line].filter(part => part !== null && part !== undefined).join(':');
+        super(location ? `${location}: ${message}` : message);
+        this.name = 'DataParseError';
+        this.reason = message;
+        this.line = line;
+        this.source = source;
+    }
+}
+
+const DataParsers = {
+    /**
+     * Split CSV text into records of raw field values (RFC 4180: quoted
+     * fields may contain commas, line breaks and "" escaped quotes)
+     * @returns {Array} - [{line, fields}] where line is where the record starts
+     */
+    parseCSVRecords(text, options = {}) {
+        const source = options.source || null;
+        const input = String(text ?? '').replace(/^\uFEFF/, '');
+        const records = [];
+        let fields = [];
+        let field = '';
+        let quoted = false;      // inside a quoted field
+        let wasQuoted = false;   // current field was quoted (keep its whitespace)
+        let line = 1;
+        let recordLine = 1;
+        let quoteLine = 1;
+        let wasQuotedRecord = false; // a lone "" is still a record
+
+        const endField = () => {
+            fields.push(wasQuoted ? field : field.trim());
+            field = '';
+            wasQuoted = false;
+        };
+        const endRecord = () => {
+            endField();
+            // Blank lines are not records
+            if (fields.length > 1 || fields[0] !== '' || wasQuotedRecord) {
+                records.push({ line: recordLine, fields });
+            }
+            fields = [];
+            wasQuotedRecord = false;
+        };
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (quoted) {
+                if (char === '"') {
+                    if (input[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        quoted = false;
+                        // Only whitespace may sit between a closing quote and the delimiter
+                        let j = i + 1;
+                        while (input[j] === ' ' || input[j] === '\t') j++;
+                        if (j < input.length && input[j] !== ',' && input[j] !== '\n' && input[j] !== '\r') {
+                            throw new DataParseError(`Unexpected "${input[j]}" after closing quote`, line, source);
+                        }
+                        i = j - 1;
+                    }
+                } else {
+                    if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                if (field.trim() !== '') {
+                    throw new DataParseError('Quote inside an unquoted field', line, source);
+                }
+                quoted = true;
+                wasQuoted = true;
+                wasQuotedRecord = true;
+                quoteLine = line;
+                field = '';
+            } else if (char === ',') {
+                endField();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                endRecord();
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (quoted) {
+            throw new DataParseError('Unterminated quoted field', quoteLine, source);
+        }
+        if (field !== '' || fields.length > 0 || wasQuoted) {
+            endRecord();
+        }
+        return records;
+    },
+
+    /**
+     * Parse CSV with a header row into row objects
+     * @param {Object} options - { source, lowercaseHeaders }
+     * @returns {Array} - row objects keyed by header; each has a non-enumerable
+     *                    `line` property for error reporting downstream
+     */
+    parseCSV(text, options = {}) {
+        const source = options.source || null;
+        const records = this.parseCSVRecords(text, options);
+        if (records.length === 0) return [];
+
+        const [header, ...body] = records;
+        const headers = header.fields.map(h => options.lowercaseHeaders ? h.toLowerCase() : h);
+        const seen = new Set();
+        headers.forEach(name => {
+            if (!name) throw new DataParseError('Empty column name in header', header.line, source);
+            if (seen.has(name)) throw new DataParseError(`Duplicate column "${name}" in header`, header.line, source);
+            seen.add(name);
+        });
+
+        return body.map(record => {
+            if (record.fields.length !== headers.length) {
+                throw new DataParseError(
+                    `Expected ${headers.length} fields but found ${record.fields.length}`, record.line, source);
+            }
+            const row = Object.fromEntries(headers.map((name, i) => [name, record.fields[i]]));
+            Object.defineProperty(row, 'line', { value: record.line, enumerable: false });
+            return row;
+        });
+    },
+
+    /**
+     * Parse a YAML document (see the supported subset above)
+     * @returns {*} - the document value; null for an empty document
+     */
+    parseYAML(text, options = {}) {
+        return new YAMLSubsetParser(String(text ?? ''), options.source || null).parse();
+    },
+
+    /**
+     * canonical_teams.csv → row objects (season_year, team_code, ...)
+     */
+    readCanonicalTeams(text, source = 'canonical_teams.csv') {
+        return this.parseCSV(text, { source })
+            .filter(row => row.team_code && row.season_year);
+    },
+
+    /**
+     * alias_mapping.yaml → [{alias, canonical, startYear, endYear, line}]
+     * Accepts a top-level list of alias entries, an `aliases:` list, or a
+     * plain { ALIAS: CANONICAL } map
+     */
+    readAliasMapping(text, source = 'alias_mapping.yaml') {
+        const document = this.parseYAML(text, { source });
+        if (document === null) return [];
+
+        let entries = Array.isArray(document) ? document : null;
+        if (!entries && typeof document === 'object') {
+            entries = Object.values(document).find(value =>
+                Array.isArray(value) && value.some(item => item && typeof item === 'object' && 'alias' in item)) || null;
+        }
+
+        if (!entries) {
+            if (typeof document !== 'object' || Object.values(document).some(v => typeof v !== 'string')) {
+                throw new DataParseError('Expected a list of alias entries or an ALIAS: CANONICAL map', 1, source);
+            }
+            return Object.entries(document).map(([alias, canonical]) =>
+                ({ alias, canonical, startYear: null, endYear: null, line: null }));
+        }
+
+        return entries.map((entry, index) => {
+            if (!entry || typeof entry !== 'object' || entry.alias === undefined || entry.canonical === undefined) {
+                throw new DataParseError(`Alias entry ${index + 1} needs alias and canonical`, entry?.line ?? null, source);
+            }
+            const year = (value) => value === null || value === undefined || value === '' ? null : parseInt(value, 10);
+            return {
+                alias: String(entry.alias),
+                canonical: String(entry.canonical),
+                startYear: year(entry.start_year),
+                endYear: year(entry.end_year),
+                line: entry.line
+            };
+        });
+    }
+};
+
+/**
+ * Line-based recursive-descent parser for the YAML subset
+ */
+class YAMLSubsetParser {
+    constructor(text, source) {
+        this.source = source;
+        this.lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+        this.pos = 0;
+        this.pending = null; // Rewritten "- key: value" line re-read as a mapping
+    }
+
+    error(message, line) {
+        return new DataParseError(message, line, this.source);
+    }
+
+    parse() {
+        const first = this.peek();
+        if (!first) return null;
+        if (first.text === '---') {
+            this.consume();
+            if (!this.peek()) return null;
+        }
+
+        const value = this.parseBlock(this.peek().indent);
+        const extra = this.peek();
+        if (extra) {
+            throw this.error(extra.text === '---' ? 'Multiple documents are not supported' : 'Unexpected content', extra.line);
+        }
+        return value;
+    }
+
+    /**
+     * Next non-blank, non-comment line as {indent, text, line}
+     */
+    peek() {
+        if (this.pending) return this.pending;
+
+        while (this.pos < this.lines.length) {
+            const raw = this.lines[this.pos];
+            const indentMatch = raw.match(/^[ \t]*/)[0];
+            const text = this.stripComment(raw.slice(indentMatch.length)).trimEnd();
+            if (text === '' || text === '...') {
+                this.pos++;
+                continue;
+            }
+            if (indentMatch.includes('\t')) {
+                throw this.error('Tabs are not allowed in indentation', this.pos + 1);
+            }
+            return { indent: indentMatch.length, text, line: this.pos + 1 };
+        }
+        return null;
+    }
+
+    consume() {
+        if (this.pending) {
+            this.pending = null;
+        } else {
+            this.pos++;
+        }
+    }
+
+    stripComment(text) {
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote) {
+                    if (quote === "'" && text[i + 1] === "'") i++;
+                    else quote = null;
+                } else if (char === '\\' && quote === '"') {
+                    i++;
+                }
+            } else if ((char === '"' || char === "'") && (i === 0 || /[\s:\-[{,]/.test(text[i - 1]))) {
+                quote = char;
+            } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                return text.slice(0, i);
+            }
+        }
+        return text;
+    }
+
+    isSequenceItem(text) {
+        return text === '-' || text.startsWith('- ');
+    }
+
+    parseBlock(indent) {
+        const next = this.peek();
+        if (!next || next.indent < indent) return null;
+        return this.isSequenceItem(next.text) ? this.parseSequence(next.indent) : this.parseMapping(next.indent);
+    }
+
+    parseSequence(indent) {
+        const items = [];
+
+        while (true) {
+            const next = this.peek();
+            if (!next || next.indent < indent) break;
+            if (next.indent > indent) throw this.error('Unexpected indentation', next.line);
+            if (!this.isSequenceItem(next.text)) break;
+
+            const rest = next.text.slice(1).trimStart();
+            if (rest === '') {
+                this.consume();
+                const child = this.peek();
+                items.push(child && child.indent > indent ? this.parseBlock(child.indent) : null);
+            } else if (this.isSequenceItem(rest) || this.findKeySeparator(rest) !== -1) {
+                // "- key: value" / "- - item": re-read the rest as a nested block
+                const offset = next.text.length - rest.length;
+                this.consume();
+                this.pending = { indent: indent + offset, text: rest, line: next.line };
+                items.push(this.parseBlock(indent + offset));
+            } else {
+                this.consume();
+                items.push(this.parseInlineValue(rest, next, indent));
+            }
+        }
+
+        return items;
+    }
+
+    parseMapping(indent) {
+        const mapping = {};
+        Object.defineProperty(mapping, 'line', { value: this.peek().line, enumerable: false });
+
+        while (true) {
+            const next = this.peek();
+            if (!next || next.indent < indent) break;
+            if (next.indent > indent) throw this.error('Unexpected indentation', next.line);
+            if (this.isSequenceItem(next.text)) {
+                throw this.error('Sequence item where a mapping key was expected', next.line);
+            }
+
+            const separator = this.findKeySeparator(next.text);
+            if (separator === -1) {
+                throw this.error(`Expected "key: value" but found "${next.text}"`, next.line);
+            }
+
+            const key = String(this.parseScalar(next.text.slice(0, separator).trim(), next.line));
+            if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+                throw this.error(`Duplicate key "${key}"`, next.line);
+            }
+
+            const rest = next.text.slice(separator + 1).trim();
+            this.consume();
+
+            if (rest === '') {
+                const child = this.peek();
+                if (child && child.indent > indent) {
+                    mapping[key] = this.parseBlock(child.indent);
+                } else if (child && child.indent === indent && this.isSequenceItem(child.text)) {
+                    // Sequences may sit at their parent key's indentation
+                    mapping[key] = this.parseSequence(indent);
+                } else {
+                    mapping[key] = null;
+                }
+            } else {
+                mapping[key] = this.parseInlineValue(rest, next, indent);
+            }
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Index of the ": " (or trailing ":") that ends a mapping key, skipping
+     * quoted keys; -1 when the text is not a key/value pair
+     */
+    findKeySeparator(text) {
+        let start = 0;
+        if (text[0] === '"' || text[0] === "'") {
+            const close = this.findClosingQuote(text, 0);
+            if (close === -1) return -1;
+            start = close + 1;
+        } else if (text[0] === '[' || text[0] === '{') {
+            return -1;
+        }
+
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === ':' && (i === text.length - 1 || text[i + 1] === ' ')) return i;
+        }
+        return -1;
+    }
+
+    findClosingQuote(text, openIndex) {
+        const quote = text[openIndex];
+        for (let i = openIndex + 1; i < text.length; i++) {
+            if (quote === '"' && text[i] === '\\') {
+                i++;
+            } else if (text[i] === quote) {
+                if (quote === "'" && text[i + 1] === "'") {
+                    i++;
+                } else {
+                    return i;
+                }
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Value after "key:" or "- ", pulling in continuation lines for block
+     * scalars, multi-line quoted strings and folded plain scalars
+     */
+    parseInlineValue(text, start, parentIndent) {
+        if (/^[|>][+-]?$/.test(text)) {
+            return this.parseBlockScalar(text, parentIndent);
+        }
+
+        if (text[0] === '"' || text[0] === "'") {
+            let combined = text;
+            while (this.findClosingQuote(combined, 0) === -1) {
+                if (this.pos >= this.lines.length) {
+                    throw this.error('Unterminated quoted string', start.line);
+                }
+                const raw = this.lines[this.pos++].trim();
+                combined += raw === '' ? '\n' : (combined.endsWith('\n') ? '' : ' ') + raw;
+            }
+            const close = this.findClosingQuote(combined, 0);
+            if (combined.slice(close + 1).trim() !== '') {
+                throw this.error('Unexpected content after quoted string', start.line);
+            }
+            return this.parseScalar(combined, start.line);
+        }
+
+        if (text[0] === '[' || text[0] === '{') {
+            return this.parseFlow(text, start.line);
+        }
+
+        // Plain scalars continue onto more-indented lines, folded with spaces
+        let value = text;
+        let next = this.peek();
+        while (next && next.indent > parentIndent) {
+            if (this.findKeySeparator(next.text) !== -1 || this.isSequenceItem(next.text)) {
+                throw this.error('Unexpected indentation', next.line);
+            }
+            value += ' ' + next.text;
+            this.consume();
+            next = this.peek();
+        }
+        return this.parseScalar(value, start.line);
+    }
+
+    /**
+     * | (literal) and > (folded) block scalars with optional - / + chomping
+     */
+    parseBlockScalar(header, parentIndent) {
+        const chomp = header[1] || '';
+        const content = [];
+        let blockIndent = null;
+
+        while (this.pos < this.lines.length) {
+            const raw = this.lines[this.pos];
+            if (raw.trim() === '') {
+                content.push('');
+                this.pos++;
+                continue;
+            }
+            const indent = raw.match(/^ */)[0].length;
+            if (indent <= parentIndent) break;
+            if (blockIndent === null) blockIndent = indent;
+            if (indent < blockIndent) {
+                throw this.error('Block scalar line is less indented than its first line', this.pos + 1);
+            }
+            content.push(raw.slice(blockIndent));
+            this.pos++;
+        }
+
+        // Trailing blank lines belong to the block only with "+" chomping
+        let trailing = 0;
+        while (content.length > 0 && content[content.length - 1] === '') {
+            content.pop();
+            trailing++;
+        }
+
+        let body;
+        if (header[0] === '|') {
+            body = content.join('\n');
+        } else {
+            body = content.reduce((folded, lineText, i) => {
+                if (i === 0) return lineText;
+                if (lineText === '') return folded + '\n';
+                return folded + (folded.endsWith('\n') ? '' : ' ') + lineText;
+            }, '');
+        }
+
+        if (content.length === 0) return '';
+        if (chomp === '-') return body;
+        if (chomp === '+') return body + '\n'.repeat(trailing + 1);
+        return body + '\n';
+    }
+
+    parseFlow(text, line) {
+        const open = text[0];
+        const close = open === '[' ? ']' : '}';
+        if (text[text.length - 1] !== close) {
+            throw this.error(`Unterminated flow collection "${text}"`, line);
+        }
+
+        const inner = text.slice(1, -1).trim();
+        const parts = [];
+        let current = '';
+        let quote = null;
+        for (let i = 0; i < inner.length; i++) {
+            const char = inner[i];
+            if (quote) {
+                if (char === quote) quote = null;
+                current += char;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+                current += char;
+            } else if (char === '[' || char === '{') {
+                throw this.error('Nested flow collections are not supported', line);
+            } else if (char === ',') {
+                parts.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (quote) throw this.error('Unterminated quoted string', line);
+        if (current.trim() !== '') parts.push(current.trim());
+
+        if (open === '[') {
+            return parts.map(part => this.parseScalar(part, line));
+        }
+        return Object.fromEntries(parts.map(part => {
+            const separator = this.findKeySeparator(part);
+            if (separator === -1) throw this.error(`Expected "key: value" in flow mapping but found "${part}"`, line);
+            return [
+                String(this.parseScalar(part.slice(0, separator).trim(), line)),
+                this.parseScalar(part.slice(separator + 1).trim(), line)
+            ];
+        }));
+    }
+
+    /**
+     * Scalar text → string, number, boolean or null (YAML 1.2 core schema)
+     */
+    parseScalar(text, line) {
+        if (text[0] === '"') {
+            if (this.findClosingQuote(text, 0) !== text.length - 1) {
+                throw this.error('Unterminated quoted string', line);
+            }
+            const escapes = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ' };
+            return text.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, code) => {
+                if (code[0] === 'u' && code.length === 5) return String.fromCharCode(parseInt(code.slice(1), 16));
+                if (!(code in escapes)) throw this.error(`Unknown escape "\\${code}"`, line);
+                return escapes[code];
+            });
+        }
+        if (text[0] === "'") {
+            if (this.findClosingQuote(text, 0) !== text.length - 1) {
+                throw this.error('Unterminated quoted string', line);
+            }
+            return text.slice(1, -1).replace(/''/g, "'");
+        }
+
+        if (/^[&*!]/.test(text)) {
+            throw this.error(`Anchors, aliases and tags are not supported ("${text}")`, line);
+        }
+        if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+        if (/^(true|True|TRUE)$/.test(text)) return true;
+        if (/^(false|False|FALSE)$/.test(text)) return false;
+        if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+        if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+        return text;
+    }
+}
+
+window.DataParseError = DataParseError;
+window.DataParsers = DataParsers;
@@ -12,9 +12,19 @@ class ESPNDataService {
         this.swid = null;
         this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+        this.config = null;
+        this.client = null;
+        this.rosters = new Map(); // "week-team" → parsed players from the last fetch
+        this.rosterWeeks = new Set(); // Weeks whose rosters are in this.rosters
+        this.rosterLoads = new Map(); // week → in-flight loadWeekRosters request
+        this.week1Sunday = '2025-09-07';
+        this.scoringPeriods = 17;
+        this.lastDataSource = null; // 'espn' | 'fixture' | 'cache' | 'sample'
+        this.staleSince = null; // When 'cache' scores were fetched (ms)
+        this.scoresApi = null; // Base URL of the local scores server (server/server.js)
         
-        // Initialize from environment/config
-        this.init();
+        // Initialize from environment/config (await ready rather than calling init again)
+        this.ready = this.init();
     }
 
     async init() {
@@ -27,6 +37,11 @@ class ESPNDataService {
                 this.year = config.year || 2025;
                 this.espnS2 = config.espnS2;
                 this.swid = config.swid;
+                this.cacheTimeout = config.cacheTimeout || this.cacheTimeout;
+                this.week1Sunday = config.seasonSettings?.week1Sunday || this.week1Sunday;
+                this.scoringPeriods = config.seasonSettings?.scoringPeriods || this.scoringPeriods;
+                this.scoresApi = config.scoresApi || null;
+                this.config = config;
             }
         } catch (error) {
             console.log('Config file not found, using defaults');
@@ -34,47 +49,229 @@ class ESPNDataService {
             this.leagueId = 323196; // RFFL League ID
             this.year = 2025;
         }
+
+        this.client = this.createClient(this.config || {});
+        await this.loadRosterSettings();
+    }
+
+    /**
+     * Apply config rosterSettings, then the league's ESPN roster format when
+     * rosterSettings.source is "espn" (via the scores server when one is
+     * configured). Unavailable ESPN settings leave the config format in place.
+     */
+    async loadRosterSettings() {
+        const rosterSettings = window.rosterSettings;
+        if (!rosterSettings) return;
+        
+        rosterSettings.configure(this.config || {});
+        if (rosterSettings.source !== 'espn') return;
+        
+        try {
+            if (this.scoresApi) {
+                const settings = await this.fetchScoresApi('roster-settings');
+                if (settings.origin === 'espn') rosterSettings.applyESPNSettings(settings);
+            } else if (this.client) {
+                rosterSettings.applyESPNSettings(await this.client.fetchRosterSettings());
+            }
+        } catch (error) {
+            console.warn(`ESPN roster settings unavailable, using ${rosterSettings.describe()}:`, error.message);
+        }
+    }
+
+    /**
+     * Create the boxscore client; ?fixtures in the URL forces fixture replay
+     */
+    createClient(config) {
+        if (typeof ESPNBoxscoreClient === 'undefined') return null;
+
+        const forceFixtures = typeof window !== 'undefined' && window.location &&
+            new URLSearchParams(window.location.search).has('fixtures');
+
+        return new ESPNBoxscoreClient({
+            ...config,
+            leagueId: this.leagueId,
+            year: this.year,
+            espnS2: this.espnS2,
+            swid: this.swid,
+            dataMode: forceFixtures ? 'fixture' : config.dataMode
+        });
     }
 
     /**
      * Fetch Week 1 scores from ESPN API
-     * Returns normalized team data with canonical mapping applied
      */
     async fetchWeek1Scores() {
-        const cacheKey = `week1-scores-${this.year}`;
+        return this.fetchWeekScores(1);
+    }
+
+    /**
+     * Fetch scores for any scoring period from ESPN API
+     * Returns normalized team data with canonical mapping applied
+     * @param {number} week - Scoring period
+     * @param {Object} options - { allowSample: false } throws instead of returning sample data,
+     *                            { forceRefresh: true } skips the cache (live polling)
+     */
+    async fetchWeekScores(week = 1, options = {}) {
+        const allowSample = options.allowSample !== false;
+        const cacheKey = `week${week}-scores-${this.year}`;
         
-        // Check cache first
-        if (this.cache.has(cacheKey)) {
+        // Check cache first (only live and fixture data is cached, see below)
+        if (!options.forceRefresh && this.cache.has(cacheKey)) {
             const cachedData = this.cache.get(cacheKey);
             if (Date.now() - cachedData.timestamp < this.cacheTimeout) {
+                this.lastDataSource = cachedData.source;
+                this.staleSince = null;
                 return cachedData.data;
             }
         }
 
         try {
-            // For now, use sample data structure that matches ESPN format
-            // TODO: Replace with actual ESPN API calls
-            const rawTeamData = await this.fetchSampleData();
+            const rawTeamData = (await this.fetchRawScores(week, allowSample))
+                .map(team => ESPNUtils.normalizeTeamRecord(team));
             
             // Apply RFFL canonical team mapping
             const canonicalData = await this.applyCanonicalMapping(rawTeamData);
             
-            // Cache the results
-            this.cache.set(cacheKey, {
-                data: canonicalData,
-                timestamp: Date.now()
-            });
+            // Cache the results. Stale and sample scores are retried on the
+            // next request, so an { allowSample: false } caller never gets them
+            if (this.lastDataSource !== 'cache' && this.lastDataSource !== 'sample') {
+                this.cache.set(cacheKey, {
+                    data: canonicalData,
+                    source: this.lastDataSource,
+                    timestamp: Date.now()
+                });
+            }
 
             return canonicalData;
         } catch (error) {
-            console.error('Error fetching Week 1 scores:', error);
+            console.error(`Error fetching Week ${week} scores:`, error);
             throw new Error(`Failed to fetch ESPN data: ${error.message}`);
         }
     }
 
+    /**
+     * Fetch raw team scores from the local scores server or the boxscore
+     * client. When ESPN is unreachable (e.g. offline, or CORS on static
+     * hosting) the week's last-known-good scores are used, then sample data.
+     */
+    async fetchRawScores(week, allowSample = true) {
+        if (this.scoresApi) {
+            try {
+                // The server answers 502 instead of sample data, so a payload is
+                // always ESPN or fixture scores
+                const payload = await this.fetchScoresApi(`live-scores?week=${week}`);
+                this.rememberScores(week, payload.teams, payload.source);
+                this.lastDataSource = payload.source;
+                this.staleSince = null;
+                return payload.teams;
+            } catch (error) {
+                console.warn('Scores API unavailable, trying ESPN directly:', error.message);
+            }
+        }
+
+        if (this.client) {
+            let teams = [];
+            try {
+                ({ teams } = await this.client.fetchBoxscores(week));
+            } catch (error) {
+                console.warn('ESPN boxscore fetch failed:', error.message);
+            }
+            if (teams.length > 0) {
+                this.lastDataSource = this.client.mode === 'fixture' ? 'fixture' : 'espn';
+                this.staleSince = null;
+                this.storeRosters(week, teams);
+                this.rememberScores(week, teams, this.lastDataSource);
+                return teams.map(({ players, ...team }) => team);
+            }
+        }
+
+        // Refresh once connectivity returns (OfflineSupport background sync)
+        window.offlineSupport?.requestSync();
+
+        const cached = this.loadLastKnownScores(week);
+        if (cached) return cached;
+
+        if (!allowSample) {
+            throw new Error(`No ESPN data available for Week ${week}`);
+        }
+
+        console.warn(`No scores on record for Week ${week}, using sample data`);
+        this.lastDataSource = 'sample';
+        this.staleSince = null;
+        return this.fetchSampleData();
+    }
+
+    /**
+     * Keep a live fetch as the week's last-known-good scores (window.scoreCache);
+     * fixture replays are not kept
+     */
+    rememberScores(week, teams, source) {
+        if (!window.scoreCache || source === 'fixture') return;
+        window.scoreCache.save(this.year, week, teams, { source });
+    }
+
+    /**
+     * The week's last-known-good scores with their rosters restored, or null
+     */
+    loadLastKnownScores(week) {
+        const cached = window.scoreCache?.load(this.year, week);
+        if (!cached) return null;
+
+        console.warn(`Using Week ${week} scores fetched ${new Date(cached.fetchedAt).toLocaleTimeString()}`);
+        this.lastDataSource = 'cache';
+        this.staleSince = cached.fetchedAt;
+        this.storeRosters(week, cached.teams);
+        return cached.teams.map(({ players, ...team }) => team);
+    }
+
+    /**
+     * Keep the players of team records that carry them (boxscore client, score cache)
+     */
+    storeRosters(week, teams) {
+        const withPlayers = teams.filter(team => team.players);
+        withPlayers.forEach(team => this.rosters.set(`${week}-${team.team}`, team.players));
+        if (withPlayers.length > 0) this.rosterWeeks.add(week);
+    }
+
+    /**
+     * Load a week's rosters for fetchTeamRoster. Concurrent callers (one per
+     * team) share a single boxscore request, a week already loaded is not
+     * fetched again, and the week's scores, lastDataSource and score cache are
+     * left alone.
+     */
+    loadWeekRosters(week) {
+        if (this.rosterWeeks.has(week)) return Promise.resolve();
+
+        if (!this.rosterLoads.has(week)) {
+            const load = (async () => {
+                try {
+                    if (!this.client) throw new Error('No boxscore client');
+                    this.storeRosters(week, (await this.client.fetchBoxscores(week)).teams);
+                } catch (error) {
+                    // Last-known-good rosters, else sample rosters
+                    const cached = window.scoreCache?.load(this.year, week);
+                    if (cached) this.storeRosters(week, cached.teams);
+                }
+            })().finally(() => this.rosterLoads.delete(week));
+            this.rosterLoads.set(week, load);
+        }
+        return this.rosterLoads.get(week);
+    }
+
+    /**
+     * GET a path on the local scores server, throwing on error responses
+     */
+    async fetchScoresApi(path) {
+        const response = await fetch(`${this.scoresApi}/${path}`);
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || `Scores API request failed: ${response.status}`);
+        }
+        return response.json();
+    }
+
     /**
      * Sample data for development/testing
-     * TODO: Replace with actual ESPN API integration
      */
     async fetchSampleData() {
         return [
@@ -111,9 +308,9 @@ class ESPNDataService {
                     ...team,
                     canonicalCode,
                     teamName: canonicalInfo?.team_full_name || team.owner,
-                    isCoOwned: canonicalInfo?.is_co_owned === 'Yes',
-                    owner1: canonicalInfo?.owner_code_1 || team.owner,
-                    owner2: canonicalInfo?.owner_code_2 || null
+                    isCoOwned: canonicalInfo ? canonicalInfo.is_co_owned === 'Yes' : (team.ownerCodes || []).length > 1,
+                    owner1: canonicalInfo?.owner_code_1 || team.ownerCodes?.[0] || team.owner,
+                    owner2: canonicalInfo?.owner_code_2 || team.ownerCodes?.[1] || null
                 };
             });
         } catch (error) {
@@ -123,9 +320,9 @@ class ESPNDataService {
                 ...team,
                 canonicalCode: team.team,
                 teamName: team.owner,
-                isCoOwned: false,
-                owner1: team.owner,
-                owner2: null
+                isCoOwned: (team.ownerCodes || []).length > 1,
+                owner1: team.ownerCodes?.[0] || team.owner,
+                owner2: team.ownerCodes?.[1] || null
             }));
         }
     }
@@ -136,73 +333,34 @@ class ESPNDataService {
     async loadAliasMapping() {
         try {
             const response = await fetch('./data/alias_mapping.yaml');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
             const yamlText = await response.text();
             
-            // Simple YAML parser for alias mapping
-            // TODO: Consider using a proper YAML library for production
-            return this.parseAliasYaml(yamlText);
+            return Object.fromEntries(
+                DataParsers.readAliasMapping(yamlText).map(entry => [entry.alias, entry.canonical])
+            );
         } catch (error) {
-            console.warn('Could not load alias mapping:', error);
+            console.warn('Could not load alias mapping:', error.message);
             return {};
         }
     }
 
     /**
-     * Load canonical teams from symlinked CSV file
+     * Load this season's canonical teams from symlinked CSV file
      */
     async loadCanonicalTeams() {
         try {
             const response = await fetch('./data/canonical_teams.csv');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
             const csvText = await response.text();
-            return this.parseCanonicalCsv(csvText);
+            return DataParsers.readCanonicalTeams(csvText)
+                .filter(row => row.season_year === this.year.toString());
         } catch (error) {
-            console.warn('Could not load canonical teams:', error);
+            console.warn('Could not load canonical teams:', error.message);
             return [];
         }
     }
 
-    /**
-     * Simple YAML parser for alias mapping structure
-     */
-    parseAliasYaml(yamlText) {
-        const aliases = {};
-        const lines = yamlText.split('\n');
-        let currentAlias = null;
-        
-        lines.forEach(line => {
-            const trimmed = line.trim();
-            if (trimmed.startsWith('- alias:')) {
-                currentAlias = trimmed.replace('- alias:', '').trim().replace(/['"]/g, '');
-            } else if (trimmed.startsWith('canonical:') && currentAlias) {
-                const canonical = trimmed.replace('canonical:', '').trim().replace(/['"]/g, '');
-                aliases[currentAlias] = canonical;
-                currentAlias = null;
-            }
-        });
-        
-        return aliases;
-    }
-
-    /**
-     * Parse canonical teams CSV
-     */
-    parseCanonicalCsv(csvText) {
-        const lines = csvText.split('\n');
-        const headers = lines[0].split(',').map(h => h.trim());
-        
-        return lines.slice(1)
-            .filter(line => line.trim())
-            .map(line => {
-                const values = line.split(',').map(v => v.trim().replace(/['"]/g, ''));
-                const obj = {};
-                headers.forEach((header, index) => {
-                    obj[header] = values[index] || '';
-                });
-                return obj;
-            })
-            .filter(obj => obj.season_year === this.year.toString());
-    }
-
     /**
      * Resolve canonical team code using alias mapping
      */
@@ -212,9 +370,26 @@ class ESPNDataService {
 
     /**
      * Fetch detailed player data for a specific team
-     * TODO: Integrate with actual ESPN roster API
+     * Uses rosters parsed from the boxscore fetch (loading the week if it has
+     * not been fetched yet), else sample data
      */
-    async fetchTeamRoster(teamCode) {
+    async fetchTeamRoster(teamCode, week = 1) {
+        const rosterKey = `${week}-${teamCode}`;
+        if (!this.rosters.has(rosterKey) && this.scoresApi && this.lastDataSource !== 'sample') {
+            try {
+                const payload = await this.fetchScoresApi(`rosters/${encodeURIComponent(teamCode)}?week=${week}`);
+                this.rosters.set(rosterKey, payload.players);
+            } catch (error) {
+                console.warn(`Roster for ${teamCode} unavailable from scores API:`, error.message);
+            }
+        }
+        if (!this.rosters.has(rosterKey) && this.lastDataSource !== 'sample') {
+            await this.loadWeekRosters(week);
+        }
+        if (this.rosters.has(rosterKey)) {
+            return this.rosters.get(rosterKey);
+        }
+
         // Sample player data structure
         const sampleRosters = {
             'WZRD': [
@@ -230,16 +405,19 @@ class ESPNDataService {
             ]
         };
         
-        return sampleRosters[teamCode] || [];
+        // Sample rosters are completed Week 1 games
+        return window.gameClock
+            ? window.gameClock.applyGameStates(sampleRosters[teamCode] || [], new Map(), 'FINAL')
+            : sampleRosters[teamCode] || [];
     }
 
     /**
      * Real-time score updates (simulated for now)
      * TODO: Implement actual real-time ESPN data fetching
      */
-    async getLatestScores() {
+    async getLatestScores(week = 1) {
         // Simulate small score changes to show real-time updates
-        const baseData = await this.fetchWeek1Scores();
+        const baseData = await this.fetchWeekScores(week);
         return baseData.map(team => ({
             ...team,
             score: team.score + (Math.random() - 0.5) * 2, // +/- 1 point variation
@@ -251,12 +429,36 @@ class ESPNDataService {
      * Check if games are currently live
      */
     isWeek1Live() {
+        return this.isWeekLive(1);
+    }
+
+    /**
+     * Check if a scoring period's games are currently live
+     */
+    isWeekLive(week) {
         // Simple check - in production this would use actual game status
         const now = new Date();
-        const gameDay = new Date('2025-09-07'); // Week 1 Sunday
-        const timeDiff = Math.abs(now - gameDay);
+        const timeDiff = Math.abs(now - this.getWeekSunday(week));
         return timeDiff < 24 * 60 * 60 * 1000; // Within 24 hours of game day
     }
+
+    /**
+     * Sunday of a scoring period, counted from the configured Week 1 Sunday
+     */
+    getWeekSunday(week) {
+        const sunday = new Date(this.week1Sunday);
+        sunday.setDate(sunday.getDate() + (week - 1) * 7);
+        return sunday;
+    }
+
+    /**
+     * Best guess at the scoring period in progress (or just completed)
+     */
+    getCurrentWeek() {
+        const daysSinceWeek1 = (new Date() - new Date(this.week1Sunday)) / (24 * 60 * 60 * 1000);
+        const week = Math.floor((daysSinceWeek1 + 4) / 7) + 1; // Weeks roll over on Wednesday
+        return Math.min(Math.max(week, 1), this.scoringPeriods);
+    }
 }
 
 // Global instance
@@ -274,6 +476,23 @@ const ESPNUtils = {
         return isNaN(parsed) ? 0 : Math.round(parsed * 100) / 100;
     },
 
+    /**
+     * Adapt a team record to the shared {team, score, proj} schema.
+     * Accepts the live-scoring field names ({actual, projected}) as well as
+     * ESPN/client records and drops the originals so one schema flows on.
+     */
+    normalizeTeamRecord(team) {
+        const { actual, projected, ...rest } = team;
+        const score = team.score ?? actual ?? 0;
+        const proj = team.proj ?? projected ?? score;
+
+        return {
+            ...rest,
+            score: this.parseScore(score),
+            proj: this.parseScore(proj)
+        };
+    },
+
     /**
      * Format team names for display
      */
@@ -0,0 +1,354 @@
+/**
+ * ESPN Fantasy Boxscore Client for RFFL Week 1 Median System
+ * Expands the endpoint templates from config/espn-config.json, sends the
+ * private-league cookies and parses ESPN's schedule/teams/roster payloads
+ * into the {team, score, proj, owner} shape used across the app. Player NFL
+ * game states come from the public NFL scoreboard (see GameClockTracker).
+ *
+ * Supports a recorded-fixture mode that reads saved JSON responses from
+ * ./fixtures/espn so the whole pipeline can run offline.
+ */
+
+class ESPNBoxscoreClient {
+    constructor(config = {}) {
+        this.leagueId = config.leagueId;
+        this.year = config.year || 2025;
+        this.espnS2 = config.espnS2 || '';
+        this.swid = config.swid || '';
+        this.endpoints = config.apiEndpoints || {};
+        this.mode = config.dataMode || 'live'; // 'live' | 'fixture'
+        this.fixturePath = config.fixturePath || './fixtures/espn';
+        this.timeout = config.requestTimeout || 10000;
+
+        // Raw payloads from the last live requests, keyed by fixture name,
+        // so they can be saved and replayed later with recordFixture()
+        this.recordedResponses = new Map();
+
+        // ESPN lineup slot ids → RFFL slot names (8-15 are IDP slots)
+        this.lineupSlots = {
+            0: 'QB', 2: 'RB', 3: 'RB/WR', 4: 'WR', 5: 'WR/TE', 6: 'TE',
+            7: 'OP', 8: 'DT', 9: 'DE', 10: 'LB', 11: 'DL', 12: 'CB', 13: 'S',
+            14: 'DB', 15: 'DP', 16: 'D/ST', 17: 'K', 18: 'P', 19: 'HC',
+            20: 'Bench', 21: 'IR', 23: 'FLEX'
+        };
+
+        // ESPN default position ids → position abbreviations
+        this.positions = {
+            1: 'QB', 2: 'RB', 3: 'WR', 4: 'TE', 5: 'K', 7: 'P',
+            9: 'DT', 10: 'DE', 11: 'LB', 12: 'CB', 13: 'S', 14: 'HC', 16: 'D/ST'
+        };
+
+        // ESPN pro team ids → NFL abbreviations
+        this.proTeams = {
+            0: 'FA', 1: 'ATL', 2: 'BUF', 3: 'CHI', 4: 'CIN', 5: 'CLE', 6: 'DAL',
+            7: 'DEN', 8: 'DET', 9: 'GB', 10: 'TEN', 11: 'IND', 12: 'KC', 13: 'LV',
+            14: 'LAR', 15: 'MIA', 16: 'MIN', 17: 'NE', 18: 'NO', 19: 'NYG',
+            20: 'NYJ', 21: 'PHI', 22: 'ARI', 23: 'PIT', 24: 'LAC', 25: 'SF',
+            26: 'SEA', 27: 'TB', 28: 'WSH', 29: 'CAR', 30: 'JAX', 33: 'BAL', 34: 'HOU'
+        };
+    }
+
+    /**
+     * Fetch and parse all team scores for a scoring period
+     * @param {number} week - ESPN scoringPeriodId
+     * @returns {Object} - { teams: [{team, score, proj, owner, players, ...}], week }
+     */
+    async fetchBoxscores(week = 1) {
+        const params = { year: this.year, leagueId: this.leagueId, week };
+
+        const [boxscorePayload, teamsPayload, gameStates] = await Promise.all([
+            this.request('boxscores', params, {
+                scoringPeriodId: week,
+                matchupPeriodId: week,
+                view: ['mBoxscore', 'mMatchupScore', 'mRoster']
+            }),
+            this.request('teams', params, { view: ['mTeam'] }),
+            this.fetchGameStates(week)
+        ]);
+
+        return {
+            week,
+            teams: this.parseBoxscores(boxscorePayload, teamsPayload, week, gameStates)
+        };
+    }
+
+    /**
+     * Fetch the league's roster format (mSettings view)
+     * @returns {Object} - { slots: {slot: count}, benchSize, irSize }
+     */
+    async fetchRosterSettings() {
+        const payload = await this.request('settings', { year: this.year, leagueId: this.leagueId }, {
+            view: ['mSettings']
+        });
+        return this.parseRosterSettings(payload);
+    }
+
+    /**
+     * Translate settings.rosterSettings.lineupSlotCounts (slot id → count)
+     * into slot names; unknown slot ids are skipped with a warning
+     */
+    parseRosterSettings(payload) {
+        const counts = payload?.settings?.rosterSettings?.lineupSlotCounts;
+        if (!counts) {
+            throw new Error('ESPN league settings have no lineupSlotCounts');
+        }
+
+        const settings = { slots: {}, benchSize: 0, irSize: 0 };
+        Object.entries(counts).forEach(([slotId, count]) => {
+            if (!count) return;
+
+            const slot = this.lineupSlots[slotId];
+            if (!slot) {
+                console.warn(`Ignoring unknown ESPN lineup slot ${slotId} (${count})`);
+            } else if (slot === 'Bench') {
+                settings.benchSize = count;
+            } else if (slot === 'IR') {
+                settings.irSize = count;
+            } else {
+                settings.slots[slot] = count;
+            }
+        });
+
+        return settings;
+    }
+
+    /**
+     * Fetch NFL game states for the week; an unavailable scoreboard only
+     * loses game-clock detail, so it resolves to an empty map
+     */
+    async fetchGameStates(week = 1) {
+        if (!this.endpoints.nflScoreboard && this.mode !== 'fixture') {
+            return new Map();
+        }
+
+        try {
+            const payload = await this.request('nflScoreboard', { year: this.year, week }, {
+                seasontype: 2,
+                week,
+                dates: this.year
+            }, { credentials: 'omit' });
+            return window.gameClock.parseScoreboard(payload);
+        } catch (error) {
+            console.warn(`NFL scoreboard unavailable for Week ${week}:`, error.message);
+            return new Map();
+        }
+    }
+
+    /**
+     * Issue a request against a named endpoint template, or read its fixture
+     */
+    async request(endpointName, params, query = {}, options = {}) {
+        const fixtureName = this.getFixtureName(endpointName, params);
+
+        if (this.mode === 'fixture') {
+            return this.loadFixture(fixtureName);
+        }
+
+        const url = this.buildUrl(endpointName, params, query);
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(url, {
+                signal: controller.signal,
+                headers: this.buildHeaders(),
+                credentials: options.credentials || 'include'
+            });
+
+            if (!response.ok) {
+                throw new Error(`ESPN ${endpointName} request failed: ${response.status}`);
+            }
+
+            const payload = await response.json();
+            this.recordedResponses.set(fixtureName, payload);
+            return payload;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Expand an endpoint template such as ".../seasons/{year}/leagues/{leagueId}/boxscore"
+     */
+    buildUrl(endpointName, params, query = {}) {
+        const template = this.endpoints[endpointName];
+        if (!template) {
+            throw new Error(`No ESPN endpoint configured for "${endpointName}"`);
+        }
+
+        const path = template.replace(/\{(\w+)\}/g, (match, key) => {
+            if (params[key] === undefined || params[key] === null) {
+                throw new Error(`Missing "${key}" for ESPN endpoint "${endpointName}"`);
+            }
+            return encodeURIComponent(params[key]);
+        });
+
+        const search = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            // ESPN expects repeated keys for multiple views (?view=a&view=b)
+            [].concat(value).forEach(v => search.append(key, v));
+        });
+
+        const queryString = search.toString();
+        return queryString ? `${path}?${queryString}` : path;
+    }
+
+    /**
+     * Build request headers including private-league cookies.
+     * Browsers drop a manual Cookie header, so these only reach ESPN when the
+     * client runs server-side; in the browser the cookies must already be set
+     * on the ESPN domain and are sent via credentials: 'include'.
+     */
+    buildHeaders() {
+        const headers = { 'Accept': 'application/json' };
+        const cookies = [];
+
+        if (this.espnS2) cookies.push(`espn_s2=${this.espnS2}`);
+        if (this.swid) cookies.push(`SWID=${this.swid}`);
+        if (cookies.length > 0) headers['Cookie'] = cookies.join('; ');
+
+        return headers;
+    }
+
+    getFixtureName(endpointName, params) {
+        if (endpointName === 'boxscores') return `boxscore-${params.year}-wk${params.week}`;
+        if (endpointName === 'nflScoreboard') return `scoreboard-${params.year}-wk${params.week}`;
+        return `${endpointName}-${params.year}`;
+    }
+
+    async loadFixture(fixtureName) {
+        const response = await fetch(`${this.fixturePath}/${fixtureName}.json`);
+        if (!response.ok) {
+            throw new Error(`Fixture ${fixtureName} not found (${response.status})`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Serialize a recorded live response so it can be saved under ./fixtures/espn
+     */
+    recordFixture(fixtureName) {
+        const payload = this.recordedResponses.get(fixtureName);
+        if (!payload) {
+            throw new Error(`No recorded response for ${fixtureName}`);
+        }
+        return JSON.stringify(payload, null, 1);
+    }
+
+    /**
+     * Parse ESPN schedule + teams payloads into app team records
+     */
+    parseBoxscores(boxscorePayload, teamsPayload, week, gameStates = new Map()) {
+        const teamIndex = this.indexTeams(boxscorePayload, teamsPayload);
+        const matchups = (boxscorePayload?.schedule || [])
+            .filter(matchup => !matchup.matchupPeriodId || matchup.matchupPeriodId === week);
+
+        const teams = [];
+        matchups.forEach(matchup => {
+            ['home', 'away'].forEach(side => {
+                const entry = matchup[side];
+                if (!entry) return; // Bye weeks have no away side
+
+                const opponent = matchup[side === 'home' ? 'away' : 'home'];
+                teams.push(this.parseTeamEntry(entry, teamIndex, week, opponent, gameStates));
+            });
+        });
+
+        // Link head-to-head opponents for weeks decided by matchup instead of median
+        const teamsById = new Map(teams.map(team => [team.espnTeamId, team]));
+        teams.forEach(team => {
+            const opponent = teamsById.get(team.opponentTeamId);
+            team.opponent = opponent?.team || null;
+            team.opponentScore = opponent ? opponent.score : null;
+        });
+
+        return teams;
+    }
+
+    indexTeams(boxscorePayload, teamsPayload) {
+        const teams = boxscorePayload?.teams || teamsPayload?.teams ||
+            (Array.isArray(teamsPayload) ? teamsPayload : []);
+        const members = boxscorePayload?.members || teamsPayload?.members || [];
+
+        const membersById = new Map(members.map(member => [member.id, member]));
+        const index = new Map();
+
+        teams.forEach(team => {
+            const owners = (team.owners || [])
+                .map(id => membersById.get(id))
+                .filter(Boolean)
+                .map(member => this.formatOwnerCode(member));
+
+            index.set(team.id, {
+                abbrev: team.abbrev,
+                name: team.name || [team.location, team.nickname].filter(Boolean).join(' '),
+                owners
+            });
+        });
+
+        return index;
+    }
+
+    parseTeamEntry(entry, teamIndex, week, opponent, gameStates = new Map()) {
+        const info = teamIndex.get(entry.teamId) || {
+            abbrev: `T${entry.teamId}`,
+            name: `Team ${entry.teamId}`,
+            owners: []
+        };
+
+        const players = window.gameClock.applyGameStates(
+            (entry.rosterForCurrentScoringPeriod?.entries || []).map(rosterEntry => this.parsePlayer(rosterEntry, week)),
+            gameStates
+        );
+
+        const starters = players.filter(p => p.slot !== 'Bench' && p.slot !== 'IR');
+        const score = entry.totalPointsLive ?? entry.totalPoints ??
+            starters.reduce((sum, p) => sum + p.score, 0);
+        const proj = entry.totalProjectedPointsLive ??
+            starters.reduce((sum, p) => sum + p.proj, 0);
+
+        return {
+            team: info.abbrev,
+            score: ESPNUtils.parseScore(score),
+            proj: ESPNUtils.parseScore(proj),
+            owner: info.name,
+            espnTeamId: entry.teamId,
+            opponentTeamId: opponent?.teamId ?? null,
+            ownerCodes: info.owners,
+            gameProgress: window.gameClock.summarize(players),
+            players
+        };
+    }
+
+    parsePlayer(rosterEntry, week) {
+        const poolEntry = rosterEntry.playerPoolEntry || {};
+        const player = poolEntry.player || {};
+        const stats = player.stats || [];
+
+        // statSourceId 0 = actual, 1 = projected
+        const actual = stats.find(s => s.scoringPeriodId === week && s.statSourceId === 0);
+        const projected = stats.find(s => s.scoringPeriodId === week && s.statSourceId === 1);
+
+        return {
+            name: player.fullName || 'Unknown Player',
+            team: this.proTeams[player.proTeamId] || 'FA',
+            pos: this.positions[player.defaultPositionId] || 'UNK',
+            opp: '',
+            proj: ESPNUtils.parseScore(projected?.appliedTotal ?? 0),
+            score: ESPNUtils.parseScore(actual?.appliedTotal ?? poolEntry.appliedStatTotal ?? 0),
+            slot: this.lineupSlots[rosterEntry.lineupSlotId] || 'Bench',
+            playerId: rosterEntry.playerId,
+            injuryStatus: player.injuryStatus || 'ACTIVE'
+        };
+    }
+
+    /**
+     * Match the LASTNAME_FIRSTNAME owner codes used in canonical_teams.csv
+     */
+    formatOwnerCode(member) {
+        if (!member.lastName) return member.displayName || member.id;
+        return `${member.lastName}_${member.firstName || ''}`.toUpperCase().replace(/\s+/g, '-');
+    }
+}
+
+window.ESPNBoxscoreClient = ESPNBoxscoreClient;
@@ -0,0 +1,291 @@
+/**
+ * RFFL Franchise Lineage - One canonical team across seasons
+ * Joins canonical_teams.csv (names and owners per season), alias year
+ * ranges (the ESPN codes a franchise played under) and the historical
+ * archive's weekly scores, so a franchise's renames, ownership changes and
+ * co-owner additions sit next to its record against each week's median.
+ *
+ * Archived weeks are scored with the league's configured median rule and
+ * tie policy (MedianCalculator.calculateMedian), so lifetime records match
+ * what the app shows for the same week.
+ *
+ * Sources default to window.rfflData, window.rfflHistory and
+ * window.medianCalculator; pass { canonicalRows, aliasEntries, history,
+ * medianCalculator } to build from other data.
+ */
+
+class FranchiseLineage {
+    /**
+     * Every franchise in the mapping or archive, with its latest name
+     * @returns {Array} - [{code, name, firstSeason, lastSeason}] by code
+     */
+    getFranchises(sources = {}) {
+        const { canonicalRows, history } = this.getSources(sources);
+        const franchises = new Map();
+
+        const note = (code, season, name = null) => {
+            const franchise = franchises.get(code) || { code, name: null, firstSeason: season, lastSeason: season };
+            franchise.firstSeason = Math.min(franchise.firstSeason, season);
+            if (season >= franchise.lastSeason) {
+                franchise.lastSeason = season;
+                franchise.name = name || franchise.name;
+            }
+            franchises.set(code, franchise);
+        };
+
+        canonicalRows.forEach(row => note(row.team_code, parseInt(row.season_year, 10), row.team_full_name));
+        (history?.records || []).forEach(record => note(record.team, record.season));
+
+        return [...franchises.values()].sort((a, b) => a.code.localeCompare(b.code));
+    }
+
+    /**
+     * Season-by-season lineage for one canonical team
+     * @param {Object} options - sources plus currentResults (live MedianCalculator
+     *                           results) and season, to include this week's result
+     * @returns {Object} - { code, name, seasons, events, aliases, owners, record }
+     */
+    build(code, options = {}) {
+        const { canonicalRows, aliasEntries, history, medianCalculator } = this.getSources(options);
+        const rows = new Map(canonicalRows
+            .filter(row => row.team_code === code)
+            .map(row => [parseInt(row.season_year, 10), row]));
+        const aliases = aliasEntries.filter(entry => entry.canonical === code && entry.alias !== code);
+        const results = this.getMedianResults(code, history, { ...options, medianCalculator });
+
+        const seasonNumbers = [...new Set([...rows.keys(), ...results.map(r => r.season)])].sort((a, b) => a - b);
+        const seasons = seasonNumbers.map(season => {
+            const row = rows.get(season) || null;
+            const covering = aliases.filter(entry =>
+                (!entry.startYear || season >= entry.startYear) && (!entry.endYear || season <= entry.endYear));
+            const weeks = results.filter(r => r.season === season);
+
+            return {
+                season,
+                name: row?.team_full_name || null,
+                owners: row ? [row.owner_code_1, row.owner_code_2].filter(Boolean) : null, // null = not on record
+                isCoOwned: row ? row.is_co_owned === 'Yes' : null,
+                codes: covering.length > 0 ? covering.map(entry => entry.alias) : [code],
+                results: weeks,
+                record: this.summarize(weeks),
+                events: []
+            };
+        });
+
+        const events = this.detectEvents(seasons);
+        events.forEach(event => seasons.find(s => s.season === event.season).events.push(event));
+
+        const latest = seasons.slice().reverse().find(s => s.name);
+        return {
+            code,
+            name: latest?.name || code,
+            firstSeason: seasons[0]?.season ?? null,
+            lastSeason: seasons[seasons.length - 1]?.season ?? null,
+            seasons,
+            events,
+            aliases,
+            owners: this.getOwnerRecords(seasons),
+            record: this.summarize(results)
+        };
+    }
+
+    /**
+     * Renames, ESPN code changes and ownership changes between consecutive
+     * seasons on record
+     */
+    detectEvents(seasons) {
+        const events = [];
+        let previous = null;
+
+        seasons.forEach(season => {
+            if (!previous) {
+                events.push(this.event(season.season, 'founded',
+                    `First season on record${season.name ? ` as ${season.name}` : ''}${season.owners?.length ? ` (${season.owners.join(' & ')})` : ''}`));
+            } else {
+                if (season.name && previous.name && season.name !== previous.name) {
+                    events.push(this.event(season.season, 'rename', `Renamed from ${previous.name} to ${season.name}`,
+                        { from: previous.name, to: season.name }));
+                }
+                if (season.codes.join('/') !== previous.codes.join('/')) {
+                    events.push(this.event(season.season, 'code-change',
+                        `ESPN code ${previous.codes.join('/')} → ${season.codes.join('/')}`,
+                        { from: previous.codes, to: season.codes }));
+                }
+                if (season.owners && previous.owners) {
+                    events.push(...this.detectOwnershipChange(previous, season));
+                }
+            }
+
+            // Seasons without a canonical row keep the last known name/owners for comparison
+            previous = {
+                name: season.name || previous?.name || null,
+                owners: season.owners || previous?.owners || null,
+                codes: season.codes
+            };
+        });
+
+        return events;
+    }
+
+    detectOwnershipChange(previous, season) {
+        const added = season.owners.filter(owner => !previous.owners.includes(owner));
+        const removed = previous.owners.filter(owner => !season.owners.includes(owner));
+        if (added.length === 0 && removed.length === 0) return [];
+
+        const details = { from: previous.owners, to: season.owners, added, removed };
+        if (removed.length === 0) {
+            return [this.event(season.season, 'co-owner-added', `${added.join(' & ')} joins as co-owner`, details)];
+        }
+        if (added.length === 0) {
+            return [this.event(season.season, 'co-owner-removed',
+                `${removed.join(' & ')} leaves; ${season.owners.join(' & ')} continues`, details)];
+        }
+        return [this.event(season.season, 'owner-change',
+            `Ownership: ${previous.owners.join(' & ')} → ${season.owners.join(' & ')}`, details)];
+    }
+
+    event(season, type, description, details = {}) {
+        return { season, type, description, ...details };
+    }
+
+    /**
+     * Every archived week for the franchise against that week's league
+     * median, plus this week's live result when not archived yet
+     * @returns {Array} - [{season, week, score, median, rank, teams, result, live}]
+     */
+    getMedianResults(code, history, options = {}) {
+        const results = [];
+        const scored = new Map(); // "season-week" → { median, results: Map(team → result) }
+
+        (history?.byTeam?.get(code) || []).forEach(record => {
+            const field = history.getWeekRecords(record.week).filter(r => r.season === record.season);
+            const key = `${record.season}-${record.week}`;
+            if (!scored.has(key)) {
+                scored.set(key, this.scoreArchivedWeek(field, record.week, options.medianCalculator, history));
+            }
+            const week = scored.get(key);
+
+            results.push({
+                season: record.season,
+                week: record.week,
+                score: record.score,
+                median: week.median,
+                rank: field.filter(r => r.score > record.score).length + 1,
+                teams: field.length,
+                result: week.results.get(record.team),
+                live: false
+            });
+        });
+
+        const current = options.currentResults;
+        const team = current?.teams?.find(t => (t.canonicalCode || t.team) === code);
+        if (team && options.season && !results.some(r => r.season === options.season && r.week === current.week)) {
+            results.push({
+                season: options.season,
+                week: current.week,
+                score: team.score,
+                median: current.median,
+                rank: team.rank ?? null,
+                teams: current.teams.length,
+                result: team.result,
+                live: true
+            });
+        }
+
+        return results.sort((a, b) => a.season - b.season || a.week - b.week);
+    }
+
+    /**
+     * One archived week's field run through the configured median rule. A
+     * field the rule can't score (e.g. an odd league size under
+     * average_6th_7th) falls back to the archive's plain median.
+     * @returns {Object} - { median, results: Map(team → 'WIN'|'LOSS'|'TIE') }
+     */
+    scoreArchivedWeek(field, week, calculator, history) {
+        try {
+            const scored = calculator.calculateMedian(field.map(r => ({ team: r.team, score: r.score })), week);
+            return { median: scored.median, results: new Map(scored.teams.map(t => [t.team, t.result])) };
+        } catch (error) {
+            const median = history.median(field.map(r => r.score).sort((a, b) => b - a));
+            return {
+                median,
+                results: new Map(field.map(r => [r.team, r.score > median ? 'WIN' : r.score < median ? 'LOSS' : 'TIE']))
+            };
+        }
+    }
+
+    /**
+     * Each owner's record with this franchise (seasons without a canonical
+     * row have no known owners and count only toward the franchise total)
+     */
+    getOwnerRecords(seasons) {
+        const owners = new Map();
+
+        seasons.forEach(season => {
+            (season.owners || []).forEach(owner => {
+                if (!owners.has(owner)) owners.set(owner, { owner, seasons: [], results: [] });
+                const entry = owners.get(owner);
+                entry.seasons.push(season.season);
+                entry.results.push(...season.results);
+            });
+        });
+
+        return [...owners.values()].map(({ owner, seasons: ownerSeasons, results }) => ({
+            owner,
+            seasons: ownerSeasons,
+            record: this.summarize(results)
+        }));
+    }
+
+    /**
+     * An owner's lifetime record against the median across every franchise
+     * they have owned or co-owned
+     * @returns {Object} - { owner, franchises: [{code, name, seasons, record}], record }
+     */
+    getOwnerHistory(ownerCode, sources = {}) {
+        const resolved = this.getSources(sources);
+        const franchises = [];
+        const results = [];
+
+        this.getFranchises(resolved).forEach(({ code }) => {
+            const lineage = this.build(code, { ...resolved, ...sources });
+            const owned = lineage.owners.find(o => o.owner === ownerCode);
+            if (!owned) return;
+
+            const ownedSeasons = new Set(owned.seasons);
+            franchises.push({ code, name: lineage.name, seasons: owned.seasons, record: owned.record });
+            results.push(...lineage.seasons.filter(s => ownedSeasons.has(s.season)).flatMap(s => s.results));
+        });
+
+        return { owner: ownerCode, franchises, record: this.summarize(results) };
+    }
+
+    summarize(results) {
+        const record = { wins: 0, losses: 0, ties: 0, games: results.length, pct: null };
+        results.forEach(r => {
+            if (r.result === 'WIN') record.wins++;
+            else if (r.result === 'LOSS') record.losses++;
+            else record.ties++;
+        });
+        if (record.games > 0) {
+            record.pct = Math.round(((record.wins + record.ties / 2) / record.games) * 1000) / 1000;
+        }
+        return record;
+    }
+
+    formatRecord(record) {
+        return record.ties > 0 ? `${record.wins}-${record.losses}-${record.ties}` : `${record.wins}-${record.losses}`;
+    }
+
+    getSources(sources = {}) {
+        return {
+            canonicalRows: sources.canonicalRows || window.rfflData?.canonicalRows || [],
+            aliasEntries: sources.aliasEntries || window.rfflData?.aliasEntries || [],
+            history: sources.history || window.rfflHistory || null,
+            medianCalculator: sources.medianCalculator || window.medianCalculator
+        };
+    }
+}
+
+// Create global instance
+window.franchiseLineage = new FranchiseLineage();
@@ -0,0 +1,179 @@
+/**
+ * RFFL Game Clock - NFL game state for rostered players
+ * Parses ESPN's NFL scoreboard into per-pro-team game states and derives
+ * each player's status (not started / in progress / final) and remaining
+ * projected points, plus team-level "yet to play" summaries.
+ */
+
+class GameClockTracker {
+    constructor() {
+        this.quarterSeconds = 15 * 60;
+        this.regulationSeconds = 4 * this.quarterSeconds;
+
+        this.statuses = {
+            NOT_STARTED: 'NOT_STARTED',
+            IN_PROGRESS: 'IN_PROGRESS',
+            FINAL: 'FINAL',
+            NO_GAME: 'NO_GAME', // Bye week or free agent
+            UNKNOWN: 'UNKNOWN'  // Scoreboard unavailable
+        };
+
+        // Scoreboard abbreviations that differ from the fantasy API's
+        this.teamAliases = { 'WAS': 'WSH' };
+    }
+
+    /**
+     * Parse an ESPN NFL scoreboard payload
+     * @returns {Map} - pro team abbreviation → { status, quarter, clock, kickoff, opponent, isHome }
+     */
+    parseScoreboard(payload) {
+        const games = new Map();
+
+        (payload?.events || []).forEach(event => {
+            const competition = event.competitions?.[0];
+            if (!competition) return;
+
+            const status = competition.status || event.status || {};
+            const competitors = competition.competitors || [];
+            const base = {
+                status: this.mapState(status.type?.state, status.type?.completed),
+                quarter: status.period || null,
+                clock: status.displayClock || null,
+                clockSeconds: typeof status.clock === 'number' ? status.clock : null,
+                detail: status.type?.shortDetail || null,
+                kickoff: competition.date || event.date || null
+            };
+
+            competitors.forEach(competitor => {
+                const abbrev = this.normalizeTeam(competitor.team?.abbreviation);
+                const opponent = competitors.find(c => c !== competitor);
+                if (!abbrev) return;
+
+                games.set(abbrev, {
+                    ...base,
+                    opponent: this.normalizeTeam(opponent?.team?.abbreviation) || null,
+                    isHome: competitor.homeAway === 'home'
+                });
+            });
+        });
+
+        return games;
+    }
+
+    mapState(state, completed) {
+        if (completed || state === 'post') return this.statuses.FINAL;
+        if (state === 'in') return this.statuses.IN_PROGRESS;
+        if (state === 'pre') return this.statuses.NOT_STARTED;
+        return this.statuses.UNKNOWN;
+    }
+
+    normalizeTeam(abbrev) {
+        if (!abbrev) return null;
+        return this.teamAliases[abbrev] || abbrev;
+    }
+
+    /**
+     * Attach game state, opponent and remaining projection to each player
+     * @param {Array} players - [{team, proj, score, slot, ...}]
+     * @param {Map} games - parseScoreboard output (empty when unavailable)
+     * @param {string} fallbackStatus - status for players when no scoreboard was loaded
+     */
+    applyGameStates(players, games, fallbackStatus = this.statuses.UNKNOWN) {
+        return players.map(player => {
+            const game = this.getPlayerGame(player, games, fallbackStatus);
+            return {
+                ...player,
+                opp: player.opp || game.opponent || '',
+                game,
+                remainingProj: this.getRemainingProjection(player, game)
+            };
+        });
+    }
+
+    getPlayerGame(player, games, fallbackStatus) {
+        if (games && games.size > 0) {
+            return games.get(this.normalizeTeam(player.team)) || { status: this.statuses.NO_GAME };
+        }
+        return { status: fallbackStatus };
+    }
+
+    /**
+     * Projected points still to come: the full projection before kickoff,
+     * the unplayed share of game time while in progress, nothing once final
+     */
+    getRemainingProjection(player, game) {
+        const proj = player.proj || 0;
+
+        switch (game.status) {
+            case this.statuses.NOT_STARTED:
+                return proj;
+            case this.statuses.IN_PROGRESS:
+                return this.roundPoints(proj * this.getRemainingFraction(game));
+            case this.statuses.FINAL:
+            case this.statuses.NO_GAME:
+                return 0;
+            default:
+                // No game data: assume the projection still outruns the score
+                return this.roundPoints(Math.max(0, proj - (player.score || 0)));
+        }
+    }
+
+    getRemainingFraction(game) {
+        if (!game.quarter || game.quarter > 4) return 0; // Overtime counts as done
+        const clockSeconds = game.clockSeconds ?? this.parseClock(game.clock);
+        const remaining = (4 - game.quarter) * this.quarterSeconds + clockSeconds;
+        return Math.min(1, Math.max(0, remaining / this.regulationSeconds));
+    }
+
+    parseClock(clock) {
+        const [minutes, seconds] = String(clock || '0:00').split(':').map(Number);
+        return (minutes || 0) * 60 + (seconds || 0);
+    }
+
+    /**
+     * Team-level summary over starters
+     * @returns {Object} - { yetToPlay, inProgress, final, remainingProj }
+     */
+    summarize(players) {
+        const starters = players.filter(p => p.slot !== 'Bench' && p.slot !== 'IR');
+        const count = (status) => starters.filter(p => p.game?.status === status).length;
+
+        return {
+            yetToPlay: count(this.statuses.NOT_STARTED),
+            inProgress: count(this.statuses.IN_PROGRESS),
+            final: count(this.statuses.FINAL) + count(this.statuses.NO_GAME),
+            remainingProj: this.roundPoints(starters.reduce((sum, p) => sum + (p.remainingProj || 0), 0)),
+            hasGameData: starters.some(p => p.game && p.game.status !== this.statuses.UNKNOWN)
+        };
+    }
+
+    /**
+     * Short label such as "Q3 8:42", "Half", "Final" or "Sun 1:00 PM"
+     */
+    formatGameStatus(game) {
+        if (!game) return '';
+
+        switch (game.status) {
+            case this.statuses.IN_PROGRESS:
+                if (game.quarter === 2 && this.parseClock(game.clock) === 0) return 'Half';
+                return game.quarter > 4 ? `OT ${game.clock || ''}`.trim() : `Q${game.quarter} ${game.clock || ''}`.trim();
+            case this.statuses.FINAL:
+                return 'Final';
+            case this.statuses.NO_GAME:
+                return 'Bye';
+            case this.statuses.NOT_STARTED:
+                return game.kickoff
+                    ? new Date(game.kickoff).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })
+                    : 'Not started';
+            default:
+                return '';
+        }
+    }
+
+    roundPoints(points) {
+        return Math.round(points * 100) / 100;
+    }
+}
+
+// Create global instance
+window.gameClock = new GameClockTracker();
@@ -0,0 +1,226 @@
+/**
+ * RFFL Lineup Compliance Audit
+ * Checks every team's starting lineup against the league's roster format
+ * (RFFLDataService.validateLineup) and player availability: empty starting
+ * slots, injured, bye-week or inactive starters and invalid FLEX placements.
+ * The league report ties each flagged lineup to its median result so the
+ * commissioner can see which results came from non-compliant lineups.
+ *
+ * A team's audit is final once its lineup has locked (every starter's game
+ * has kicked off); before that, findings are provisional.
+ *
+ * ESPN only reports a player's current injury status. For past weeks
+ * (options.pastWeek) it may postdate the game, so injured starters there are
+ * unverifiable warnings (injury_unverified) rather than compliance errors.
+ *
+ * Issue: { severity: 'error'|'warning', type, player, slot, description }
+ */
+
+class LineupComplianceAudit {
+    constructor() {
+        this.severityOrder = { error: 0, warning: 1 };
+
+        // ESPN injury statuses that keep a player out of the game
+        this.outStatuses = new Set(['OUT', 'INJURY_RESERVE', 'SUSPENSION', 'PUP', 'NFI']);
+        this.doubtfulStatuses = new Set(['DOUBTFUL']);
+
+        // validateLineup issue types → audit severity
+        this.lineupIssueSeverity = {
+            empty_slot: 'error',
+            invalid_flex: 'error',
+            invalid_position: 'error',
+            unknown_slot: 'error',
+            duplicate_player: 'error',
+            count_mismatch: 'error',
+            bench_overflow: 'warning',
+            ir_overflow: 'warning'
+        };
+    }
+
+    /**
+     * Audit one team's lineup
+     * @param {Array} players - roster with slot, pos, injuryStatus and game (GameClockTracker)
+     * @param {Object} options - { settings, pastWeek } (settings: RosterSettings, defaults to
+     *                            window.rosterSettings; pastWeek: the week is over)
+     * @returns {Object} - { compliant, locked, issues, counts }
+     */
+    auditTeam(players, options = {}) {
+        const starters = players.filter(p => window.rfflData.isStarterSlot(p.slot));
+        const issues = [
+            ...this.checkLineup(players, options),
+            ...starters.flatMap(player => this.checkAvailability(player, options))
+        ].sort((a, b) => this.severityOrder[a.severity] - this.severityOrder[b.severity]);
+
+        const counts = { error: 0, warning: 0 };
+        issues.forEach(issue => counts[issue.severity]++);
+
+        return {
+            compliant: counts.error === 0,
+            locked: this.isLocked(starters),
+            issues,
+            counts
+        };
+    }
+
+    /**
+     * Roster-format issues; a slot with fewer starters than required is
+     * reported once per empty slot
+     */
+    checkLineup(players, options) {
+        const validation = window.rfflData.validateLineup(players, options);
+
+        return validation.issues.flatMap(issue => {
+            if (issue.type === 'count_mismatch' && issue.actual < issue.required) {
+                return Array.from({ length: issue.required - issue.actual }, () => this.issue('error', 'empty_slot',
+                    null, issue.slot, `Empty ${issue.slot} slot`));
+            }
+            return [this.issue(this.lineupIssueSeverity[issue.type] || 'error', issue.type,
+                issue.player || null, issue.slot || null, issue.description)];
+        });
+    }
+
+    /**
+     * Injured, bye-week and inactive starters. In past weeks the injury
+     * status is not trusted: a starter who scored played, and one who didn't
+     * is reported as unverifiable.
+     */
+    checkAvailability(player, options = {}) {
+        const issues = [];
+        const status = (player.injuryStatus || 'ACTIVE').toUpperCase();
+        const gameStatus = player.game?.status;
+        const statuses = window.gameClock.statuses;
+        const trustStatus = !options.pastWeek;
+
+        if (!trustStatus) {
+            if ((this.outStatuses.has(status) || this.doubtfulStatuses.has(status)) && !player.score && player.proj) {
+                issues.push(this.issue('warning', 'injury_unverified', player.name, player.slot,
+                    `${player.name} started at ${player.slot} without scoring; now listed ${this.formatStatus(status)} ` +
+                    '(status at kickoff unknown)'));
+            }
+        } else if (this.outStatuses.has(status)) {
+            issues.push(this.issue('error', 'injured_starter', player.name, player.slot,
+                `${player.name} (${this.formatStatus(status)}) started at ${player.slot}`));
+        } else if (this.doubtfulStatuses.has(status)) {
+            issues.push(this.issue('warning', 'injured_starter', player.name, player.slot,
+                `${player.name} (${this.formatStatus(status)}) started at ${player.slot}`));
+        }
+
+        if (player.team === 'FA') {
+            issues.push(this.issue('error', 'inactive_starter', player.name, player.slot,
+                `${player.name} is not on an NFL roster but started at ${player.slot}`));
+        } else if (gameStatus === statuses.NO_GAME) {
+            issues.push(this.issue('error', 'bye_starter', player.name, player.slot,
+                `${player.name} (${player.team}) started at ${player.slot} during a bye week`));
+        } else if (gameStatus === statuses.FINAL && !player.score && !player.proj &&
+            (!trustStatus || !this.outStatuses.has(status))) {
+            // ESPN zeroes projections for players ruled inactive on game day
+            issues.push(this.issue('warning', 'inactive_starter', player.name, player.slot,
+                `${player.name} was inactive (no projection, no points) at ${player.slot}`));
+        }
+
+        return issues;
+    }
+
+    /**
+     * Every starter's game has kicked off (or has no game); without
+     * scoreboard data a lineup never counts as locked
+     */
+    isLocked(starters) {
+        const statuses = window.gameClock.statuses;
+        return starters.length > 0 && starters.every(p =>
+            p.game && p.game.status !== statuses.NOT_STARTED && p.game.status !== statuses.UNKNOWN);
+    }
+
+    /**
+     * Audit every team and tie findings to median results
+     * @param {Object} results - MedianCalculator.calculateMedian output
+     * @param {Map} rosters - ESPN team code → players
+     * @param {Object} options - auditTeam options ({ settings, pastWeek })
+     * @returns {Object} - { week, median, checkedAt, final, pastWeek, teams, flagged, counts }
+     */
+    auditLeague(results, rosters, options = {}) {
+        const teams = results.teams.map(team => {
+            const players = rosters.get(team.team);
+            const base = {
+                team: team.canonicalCode || team.team,
+                espnCode: team.team,
+                score: team.score,
+                result: team.result,
+                marginVsMedian: Math.round((team.score - results.median) * 100) / 100
+            };
+            if (!players || players.length === 0) {
+                return { ...base, audited: false, compliant: null, locked: false, issues: [], counts: { error: 0, warning: 0 } };
+            }
+            return { ...base, audited: true, ...this.auditTeam(players, options) };
+        });
+
+        const audited = teams.filter(t => t.audited);
+        const flagged = audited.filter(t => !t.compliant);
+
+        return {
+            week: results.week,
+            median: results.median,
+            checkedAt: new Date().toISOString(),
+            final: audited.length > 0 && audited.every(t => t.locked),
+            pastWeek: Boolean(options.pastWeek),
+            teams,
+            flagged,
+            counts: {
+                audited: audited.length,
+                unavailable: teams.length - audited.length,
+                flagged: flagged.length,
+                warnings: audited.filter(t => t.compliant && t.counts.warning > 0).length,
+                flaggedWins: flagged.filter(t => t.result === 'WIN').length
+            }
+        };
+    }
+
+    /**
+     * Plain-text commissioner report: each median result that came from a
+     * lineup with compliance errors, then teams with warnings only
+     */
+    formatReport(report) {
+        const lines = [
+            `RFFL Week ${report.week} lineup compliance (${report.final ? 'final' : 'provisional — lineups not yet locked'})`,
+            `Median ${report.median.toFixed(2)} · ${report.counts.audited} lineups audited · ` +
+                `${report.counts.flagged} with issues (${report.counts.flaggedWins} won vs. the median)`
+        ];
+        if (report.counts.unavailable > 0) {
+            lines.push(`${report.counts.unavailable} team(s) not audited (no roster available)`);
+        }
+        if (report.pastWeek) {
+            lines.push('Past week: injury statuses are ESPN\'s current ones, so injured starters are not held against lineups');
+        }
+
+        const describe = (team, severity) => team.issues
+            .filter(issue => issue.severity === severity)
+            .map(issue => `    - ${issue.description}`);
+        const header = (team) => `${team.result.padEnd(4)} ${team.team} ${team.score.toFixed(2)} ` +
+            `(${team.marginVsMedian >= 0 ? '+' : ''}${team.marginVsMedian.toFixed(2)})`;
+
+        lines.push('', 'Median results from non-compliant lineups:');
+        if (report.flagged.length === 0) {
+            lines.push('  None');
+        }
+        report.flagged.forEach(team => lines.push(`  ${header(team)}`, ...describe(team, 'error'), ...describe(team, 'warning')));
+
+        const warned = report.teams.filter(t => t.audited && t.compliant && t.counts.warning > 0);
+        if (warned.length > 0) {
+            lines.push('', 'Warnings:');
+            warned.forEach(team => lines.push(`  ${header(team)}`, ...describe(team, 'warning')));
+        }
+
+        return lines.join('\n');
+    }
+
+    formatStatus(status) {
+        return status.toLowerCase().replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    }
+
+    issue(severity, type, player, slot, description) {
+        return { severity, type, player, slot, description };
+    }
+}
+
+// Create global instance
+window.lineupAudit = new LineupComplianceAudit();
@@ -6,10 +6,34 @@
 class RFFLWeek1App {
     constructor() {
         this.currentMedianResults = null;
+        this.winProbabilities = null;
         this.selectedTeam = null;
         this.charts = {};
         this.updateInterval = null;
         this.isLiveMode = false;
+        this.currentWeek = this.getInitialWeek();
+        
+        // What-if simulator: team code → hypothetical score, and edited
+        // starter scores (by roster index) for the selected team
+        this.whatIfOverrides = {};
+        this.whatIfPlayerScores = {};
+        this.whatIfPlayers = [];
+        
+        // Score-snapshot timeline for the selected week; replayIndex is the
+        // snapshot being replayed (null = showing live results)
+        this.snapshotTimeline = [];
+        this.liveMedianResults = null;
+        this.replayIndex = null;
+        
+        // Canonical code shown in the franchise lineage view
+        this.selectedFranchise = null;
+        this.benchReport = null;
+        this.complianceReport = null;
+        this.projectionReport = null;
+        
+        // Head-to-head comparison: canonical codes of the two teams (oldest first)
+        this.comparisonCodes = [];
+        this.comparison = null;
         
         this.init();
     }
@@ -20,10 +44,22 @@ class RFFLWeek1App {
         try {
             // Wait for all data services to initialize
             await Promise.all([
-                window.espnAPI?.init?.() || Promise.resolve(),
-                window.rfflData?.init?.() || Promise.resolve()
+                window.espnAPI?.ready || Promise.resolve(),
+                window.rfflData?.ready || Promise.resolve()
             ]);
             
+            // Median weeks and season length come from league config
+            window.medianCalculator.configure(window.espnAPI.config || {});
+            window.seasonStandings?.configure(window.espnAPI.config || {});
+            window.tiebreakers?.configure(window.espnAPI.config || {});
+            window.winProbability?.configure(window.espnAPI.config || {});
+            window.snapshotStore?.configure(window.espnAPI.config || {});
+            this.setupWeekSelector();
+            
+            // Offline shell, and a refresh once stale scores can be replaced
+            window.offlineSupport?.init();
+            window.offlineSupport?.onReconnect(() => this.loadData());
+            
             // Load initial data and render
             await this.loadData();
             this.setupEventListeners();
@@ -36,22 +72,97 @@ class RFFLWeek1App {
         }
     }
 
+    /**
+     * Week from ?week= in the URL, defaulting to Week 1
+     */
+    getInitialWeek() {
+        const week = parseInt(new URLSearchParams(window.location.search).get('week'), 10);
+        return week > 0 ? week : 1;
+    }
+
+    setupWeekSelector() {
+        const selector = document.getElementById('week-selector');
+        if (!selector) return;
+        
+        const scoringPeriods = window.espnAPI.scoringPeriods || 17;
+        selector.innerHTML = Array.from({ length: scoringPeriods }, (_, i) => {
+            const week = i + 1;
+            const label = window.medianCalculator.isMedianWeek(week) ? `Week ${week} (Median)` : `Week ${week}`;
+            return `<option value="${week}" ${week === this.currentWeek ? 'selected' : ''}>${label}</option>`;
+        }).join('');
+        
+        selector.addEventListener('change', (e) => this.setWeek(parseInt(e.target.value, 10)));
+    }
+
+    /**
+     * Switch scoring period: drives the ESPN fetch, cache key, median engine and charts
+     */
+    async setWeek(week) {
+        if (!week || week === this.currentWeek) return;
+        
+        this.currentWeek = week;
+        this.selectedTeam = null;
+        this.whatIfOverrides = {};
+        this.snapshotTimeline = [];
+        this.replayIndex = null;
+        this.comparison = null;
+        
+        const detailView = document.getElementById('detailed-team-view');
+        if (detailView) detailView.style.display = 'none';
+        
+        const url = new URL(window.location.href);
+        url.searchParams.set('week', week);
+        window.history.replaceState({}, '', url);
+        
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+            this.updateInterval = null;
+        }
+        
+        await this.loadData();
+        this.setupAutoRefresh();
+    }
+
     async loadData() {
         try {
-            // Fetch Week 1 scores from ESPN API
-            const teamScores = await window.espnAPI.fetchWeek1Scores();
+            // Fetch the selected week's scores from ESPN API
+            const teamScores = await window.espnAPI.fetchWeekScores(this.currentWeek);
             
             // Enrich with RFFL data
-            const enrichedTeams = window.rfflData.enrichTeamData(teamScores);
+            const enrichedTeams = window.rfflData.enrichTeamData(teamScores, window.espnAPI.year, this.currentWeek);
             
             // Calculate median results
-            this.currentMedianResults = window.medianCalculator.calculateMedian(enrichedTeams);
+            window.medianCalculator.setWeek(this.currentWeek);
+            const results = window.medianCalculator.calculateMedian(enrichedTeams, this.currentWeek);
+            
+            // Break exact-median ties with the league's tiebreaker rules
+            this.currentMedianResults = window.tiebreakers
+                ? await window.tiebreakers.resolveTies(results, team =>
+                    window.espnAPI.fetchTeamRoster(team.team, this.currentWeek), { season: window.espnAPI.year })
+                : results;
+            this.liveMedianResults = this.currentMedianResults;
+            
+            // Persist this fetch to the snapshot timeline
+            await this.recordSnapshot();
+            
+            // Monte Carlo win probabilities while points remain to be scored
+            this.winProbabilities = this.simulateWinProbabilities(enrichedTeams);
             
             // Render all UI components
+            this.renderWeekContext();
+            this.renderDataStatus();
             this.renderMedianDisplay();
+            this.renderMyTeam();
             this.renderTeamsGrid();
             this.renderStandings();
             this.renderCharts();
+            this.renderFranchiseLineage();
+            
+            // Keep showing the replayed moment if the user is scrubbing
+            if (this.replayIndex !== null) this.showSnapshot(this.replayIndex);
+            
+            await this.loadRosterReports();
+            if (this.comparisonCodes.length === 2) await this.loadComparison();
             
         } catch (error) {
             console.error('Error loading data:', error);
@@ -59,6 +170,58 @@ class RFFLWeek1App {
         }
     }
 
+    /**
+     * Save the live results to the snapshot store and reload the week's timeline
+     */
+    async recordSnapshot() {
+        if (!window.snapshotStore) return;
+        
+        try {
+            // Stale (last-known-good) scores are already on the timeline, and
+            // unchanged scores (cache hits, finished weeks) add nothing
+            if (!['cache', 'sample'].includes(window.espnAPI.lastDataSource)) {
+                await window.snapshotStore.recordIfChanged(this.liveMedianResults, {
+                    season: window.espnAPI.year,
+                    source: window.espnAPI.lastDataSource
+                });
+            }
+            this.snapshotTimeline = await window.snapshotStore.getTimeline(this.currentWeek, window.espnAPI.year);
+        } catch (error) {
+            console.warn('Snapshot timeline unavailable:', error.message);
+        }
+    }
+
+    simulateWinProbabilities(teams) {
+        if (!window.winProbability || window.espnAPI.lastDataSource === 'sample') return null;
+        
+        const pointsRemaining = teams.some(team => window.winProbability.getRemainingProjection(team) > 0.5);
+        if (!pointsRemaining) return null;
+        
+        try {
+            return window.winProbability.simulate(teams, { week: this.currentWeek });
+        } catch (error) {
+            console.warn('Win probability simulation failed:', error.message);
+            return null;
+        }
+    }
+
+    renderWeekContext() {
+        const isMedianWeek = this.currentMedianResults.isMedianWeek;
+        
+        document.querySelectorAll('[data-week-label]').forEach(el => {
+            el.textContent = `Week ${this.currentWeek}`;
+        });
+        
+        const note = document.getElementById('median-week-note');
+        if (note) {
+            note.textContent = isMedianWeek
+                ? 'Median week: results are decided against the league median'
+                : 'Head-to-head week: median shown for reference only';
+        }
+        
+        document.title = `RFFL Week ${this.currentWeek} vs. Median`;
+    }
+
     renderMedianDisplay() {
         const medianElement = document.getElementById('current-median');
         if (medianElement && this.currentMedianResults) {
@@ -66,11 +229,99 @@ class RFFLWeek1App {
             medianElement.textContent = median.toFixed(2);
             medianElement.classList.add('animate-pulse');
             
+            const ruleElement = document.getElementById('median-rule-description');
+            if (ruleElement) {
+                ruleElement.textContent = this.currentMedianResults.ruleDescription;
+            }
+            
+            this.renderMedianHistoryRank(median);
+            
             // Remove animation after a short delay
             setTimeout(() => medianElement.classList.remove('animate-pulse'), 1000);
         }
     }
 
+    /**
+     * "Nth highest of N Week W medians" from the historical archive
+     */
+    renderMedianHistoryRank(median) {
+        const element = document.getElementById('median-history-rank');
+        if (!element) return;
+        
+        const ranking = window.rfflData.getMedianHistoryRank?.(median, this.currentWeek, window.espnAPI.year);
+        element.textContent = ranking
+            ? `${window.medianCalculator.ordinal(ranking.rank)} highest of ${ranking.of} Week ${this.currentWeek} medians ` +
+              `(record ${ranking.highest.median.toFixed(2)} in ${ranking.highest.season}, low ${ranking.lowest.median.toFixed(2)} in ${ranking.lowest.season})`
+            : '';
+    }
+
+    /**
+     * Where the scores came from when they are not fresh: last-known-good
+     * ("Stale since 14:05") or sample data
+     */
+    renderDataStatus() {
+        const element = document.getElementById('data-status');
+        if (!element || !window.offlineSupport) return;
+        
+        const status = window.offlineSupport.getDataStatus(window.espnAPI.lastDataSource, window.espnAPI.staleSince);
+        element.style.display = status ? 'inline-block' : 'none';
+        if (!status) return;
+        
+        element.className = `inline-block text-xs font-semibold px-3 py-1 rounded-full mb-4 ${
+            status.tone === 'error' ? 'bg-red-900/60 text-red-200' : 'bg-yellow-900/60 text-yellow-200'}`;
+        element.textContent = `⚠️ ${status.message}`;
+    }
+
+    /**
+     * Followed-team picker and "you vs median" banner (window.myTeam)
+     */
+    renderMyTeam() {
+        const selector = document.getElementById('my-team-selector');
+        if (selector) {
+            const codes = (this.liveMedianResults?.teams || []).map(team => this.getTeamCode(team)).sort();
+            selector.innerHTML = '<option value="">None</option>' +
+                codes.map(code => `<option value="${code}">${code}</option>`).join('');
+            selector.value = codes.includes(window.myTeam.get()) ? window.myTeam.get() : '';
+        }
+        
+        const banner = document.getElementById('my-team-banner');
+        if (!banner) return;
+        
+        const code = window.myTeam.get();
+        const team = window.myTeam.findTeam(this.currentMedianResults, code);
+        if (!team) {
+            banner.style.display = 'none';
+            return;
+        }
+        
+        const progress = team.gameProgress;
+        const status = window.myTeam.buildStatus(this.currentMedianResults, {
+            code,
+            odds: this.replayIndex === null ? this.winProbabilities?.teams.find(t => t.team === code) : null,
+            isFinal: progress?.hasGameData
+                ? progress.yetToPlay === 0 && progress.inProgress === 0
+                : !window.espnAPI.isWeekLive(this.currentWeek)
+        });
+        const details = [
+            status.rank ? `#${status.rank} of ${status.teamCount}` : null,
+            status.winProbability !== null ? `${window.winProbability.formatProbability(status.winProbability)} to finish above the median` : null,
+            !status.isFinal && status.projectedMargin !== null ? `projected ${MedianUtils.formatMargin(status.projectedMargin)}` : null
+        ].filter(Boolean);
+        
+        banner.style.display = 'block';
+        banner.className = `rounded-lg p-4 mb-4 border ${status.result === 'WIN' ? 'border-green-500/40 bg-green-900/20' : 'border-red-500/40 bg-red-900/20'}`;
+        banner.innerHTML = `
+            <p class="text-sm text-gray-300 mb-1">⭐ You vs. Median</p>
+            <p class="text-2xl font-bold text-white">
+                ${status.team} ${status.score.toFixed(2)}
+                <span class="${MedianUtils.getMarginClass(status.marginVsMedian)}">${MedianUtils.formatMargin(status.marginVsMedian)}</span>
+                ${MedianUtils.getResultBadge(status.result)}
+            </p>
+            <p class="text-sm text-gray-300 mt-1">${window.myTeam.formatHeadline(status)}</p>
+            ${details.length > 0 ? `<p class="text-xs text-gray-500 mt-1">${details.join(' · ')}</p>` : ''}
+        `;
+    }
+
     renderTeamsGrid() {
         const gridContainer = document.getElementById('median-teams-grid');
         if (!gridContainer || !this.currentMedianResults) return;
@@ -88,7 +339,8 @@ class RFFLWeek1App {
         const statusClass = team.result === 'WIN' ? 'above-median' : 
                            team.result === 'LOSS' ? 'below-median' : 'at-median';
         
-        box.className = `median-matchup-box ${statusClass} p-3 rounded-lg cursor-pointer transition-all hover:scale-105`;
+        const isMine = window.myTeam.isMine(team);
+        box.className = `median-matchup-box ${statusClass} ${isMine ? 'ring-2 ring-yellow-400' : ''} p-3 rounded-lg cursor-pointer transition-all hover:scale-105`;
         
         const statusIcon = MedianUtils.getStatusIcon(team.result);
         const marginClass = MedianUtils.getMarginClass(team.marginVsMedian);
@@ -97,7 +349,7 @@ class RFFLWeek1App {
         box.innerHTML = `
             <div class="text-center">
                 <div class="text-lg font-bold mb-1">
-                    ${statusIcon} ${team.canonicalCode || team.team}
+                    ${statusIcon} ${team.canonicalCode || team.team}${isMine ? ' ⭐' : ''}
                 </div>
                 <div class="text-2xl font-bold text-white mb-1">
                     ${team.score.toFixed(2)}
@@ -111,18 +363,36 @@ class RFFLWeek1App {
                 <div class="text-xs mt-1">
                     ${MedianUtils.getResultBadge(team.result)}
                 </div>
+                ${!this.currentMedianResults.isMedianWeek && team.h2hResult ? `
+                    <div class="text-xs text-gray-400 mt-1">
+                        H2H vs ${team.opponent}: ${team.h2hResult}
+                    </div>
+                ` : ''}
+                <button data-compare class="text-xs text-gray-400 hover:text-white mt-1" title="Compare head-to-head">
+                    ⚖️ Compare
+                </button>
             </div>
         `;
         
-        box.addEventListener('click', () => this.selectTeam(team));
+        box.addEventListener('click', (e) => {
+            if (e.target.closest('[data-compare]')) {
+                this.addToComparison(team);
+            } else {
+                this.selectTeam(team);
+            }
+        });
         
         return box;
     }
 
     selectTeam(team) {
         this.selectedTeam = team;
+        this.whatIfPlayerScores = {};
         this.renderTeamDetails();
         
+        this.selectedFranchise = this.getTeamCode(team);
+        this.renderFranchiseLineage();
+        
         // Update visual selection
         document.querySelectorAll('.median-matchup-box').forEach(box => {
             box.classList.remove('active');
@@ -137,6 +407,151 @@ class RFFLWeek1App {
         }
     }
 
+    /**
+     * Add a grid team to the head-to-head view. The first pick is paired with
+     * the selected team when there is one; after that each pick replaces the
+     * older of the two.
+     */
+    addToComparison(team) {
+        const code = this.getTeamCode(team);
+        const codes = this.comparisonCodes.filter(c => c !== code);
+        if (codes.length === 0 && this.selectedTeam && this.getTeamCode(this.selectedTeam) !== code) {
+            codes.push(this.getTeamCode(this.selectedTeam));
+        }
+        codes.push(code);
+        this.comparisonCodes = codes.slice(-2);
+        this.loadComparison({ scroll: true });
+    }
+
+    /**
+     * Fetch both rosters and rebuild the comparison (window.teamComparison)
+     */
+    async loadComparison(options = {}) {
+        const section = document.getElementById('comparison-view');
+        const body = document.getElementById('comparison-body');
+        if (!section || !body || !this.liveMedianResults) return;
+        
+        section.style.display = 'block';
+        this.renderComparisonSelectors();
+        if (options.scroll) section.scrollIntoView({ behavior: 'smooth' });
+        
+        const teams = this.comparisonCodes
+            .map(code => this.liveMedianResults.teams.find(team => this.getTeamCode(team) === code))
+            .filter(Boolean);
+        if (teams.length < 2) {
+            this.comparison = null;
+            body.innerHTML = `
+                <p class="text-gray-400 text-center">
+                    ${teams.length === 1 ? `Pick a team to compare with ${this.getTeamCode(teams[0])}` : 'Pick two teams'}
+                    (⚖️ Compare on the grid or the selectors above)
+                </p>
+            `;
+            return;
+        }
+        
+        try {
+            const rosters = await Promise.all(teams.map(team =>
+                window.espnAPI.fetchTeamRoster(team.team, this.currentWeek).catch(() => [])));
+            this.comparison = window.teamComparison.build(
+                { team: teams[0], players: rosters[0] },
+                { team: teams[1], players: rosters[1] },
+                { results: this.liveMedianResults }
+            );
+            this.renderComparison();
+        } catch (error) {
+            console.warn('Head-to-head comparison failed:', error.message);
+            body.innerHTML = '<p class="text-gray-400 text-center">Comparison unavailable</p>';
+        }
+    }
+
+    renderComparisonSelectors() {
+        const codes = this.liveMedianResults.teams.map(team => this.getTeamCode(team)).sort();
+        ['compare-team-a', 'compare-team-b'].forEach((id, index) => {
+            const selector = document.getElementById(id);
+            if (!selector) return;
+            selector.innerHTML = '<option value="">Pick a team</option>' +
+                codes.map(code => `<option value="${code}">${code}</option>`).join('');
+            selector.value = this.comparisonCodes[index] || '';
+        });
+    }
+
+    renderComparison() {
+        const body = document.getElementById('comparison-body');
+        const comparison = this.comparison;
+        if (!body || !comparison) return;
+        
+        const [a, b] = comparison.teams;
+        const points = (value, digits = 2) => value !== null ? value.toFixed(digits) : '—';
+        const better = (diff, side) => diff === null || diff === 0 ? 'text-white'
+            : (side === 0) === (diff > 0) ? 'text-green-400 font-bold' : 'text-gray-400';
+        const playerCell = (player) => player ? `
+            <p class="font-semibold text-sm text-white">${player.name}</p>
+            <p class="text-xs text-gray-400">${player.team || ''} ${player.pos || ''} | Proj: ${(player.proj || 0).toFixed(1)}</p>
+        ` : '<p class="text-xs text-gray-500">Empty</p>';
+        const teamCard = (side, index) => `
+            <div class="bg-gray-700 rounded-lg p-3 ${window.myTeam.isMine(side.team) ? 'ring-2 ring-yellow-400' : ''}">
+                <p class="text-lg font-bold text-white">${side.team}${window.myTeam.isMine(side.team) ? ' ⭐' : ''}</p>
+                <p class="text-2xl font-bold ${better(comparison.edges.score, index)}">${side.score.toFixed(2)}</p>
+                <p class="text-xs mt-1">${side.result ? MedianUtils.getResultBadge(side.result) : ''}</p>
+            </div>
+        `;
+        // Lower is better for points left on the bench, so flip the sign
+        const summary = [
+            ['Score', points(a.score), points(b.score), comparison.edges.score],
+            ['vs. Median', MedianUtils.formatMargin(a.marginVsMedian), MedianUtils.formatMargin(b.marginVsMedian), comparison.edges.score],
+            ['Projection', points(a.proj, 1), points(b.proj, 1), comparison.edges.proj],
+            ['Bench Points', points(a.benchPoints), points(b.benchPoints), null],
+            ['Left on Bench', points(a.optimalGap), points(b.optimalGap), comparison.edges.optimalGap !== null ? -comparison.edges.optimalGap : null],
+            ['Lineup Efficiency', a.efficiency !== null ? `${a.efficiency.toFixed(1)}%` : '—', b.efficiency !== null ? `${b.efficiency.toFixed(1)}%` : '—', null]
+        ];
+        
+        body.innerHTML = `
+            <div class="grid grid-cols-3 gap-4 text-center mb-4">
+                ${teamCard(a, 0)}
+                <div class="flex flex-col justify-center">
+                    <p class="text-gray-400 text-xs">Slots won</p>
+                    <p class="text-xl font-bold text-white">${comparison.slotWins[0]} – ${comparison.slotWins[1]}</p>
+                    <p class="text-gray-400 text-xs mt-1">Median ${points(comparison.median)}</p>
+                </div>
+                ${teamCard(b, 1)}
+            </div>
+            <table class="w-full text-left mb-4">
+                <tbody>
+                    ${summary.map(([label, valueA, valueB, diff]) => `
+                        <tr class="border-t border-gray-700">
+                            <td class="p-2 text-right ${better(diff, 0)}">${valueA}</td>
+                            <td class="p-2 text-center text-xs text-gray-400 uppercase">${label}</td>
+                            <td class="p-2 ${better(diff, 1)}">${valueB}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${a.hasRoster || b.hasRoster ? `
+                <h4 class="text-md font-semibold mb-2 text-gray-300">Starters by Slot</h4>
+                <table class="w-full text-left">
+                    <tbody>
+                        ${comparison.rows.map(row => `
+                            <tr class="border-t border-gray-700">
+                                <td class="p-2 text-right">${playerCell(row.a)}</td>
+                                <td class="p-2 text-right ${better(row.diff, 0)}">${points(row.a?.score ?? null, 1)}</td>
+                                <td class="p-2 text-center text-xs text-gray-400">${row.slot}</td>
+                                <td class="p-2 ${better(row.diff, 1)}">${points(row.b?.score ?? null, 1)}</td>
+                                <td class="p-2">${playerCell(row.b)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : '<p class="text-gray-400 text-center">Rosters unavailable</p>'}
+        `;
+    }
+
+    closeComparison() {
+        this.comparisonCodes = [];
+        this.comparison = null;
+        const section = document.getElementById('comparison-view');
+        if (section) section.style.display = 'none';
+    }
+
     async renderTeamDetails() {
         if (!this.selectedTeam) return;
         
@@ -169,35 +584,30 @@ class RFFLWeek1App {
                     </div>
                     <div class="mt-4 text-center">
                         <span class="text-lg">Result: </span>
-                        <span class="text-xl font-bold ${this.selectedTeam.result === 'WIN' ? 'text-green-400' : 
-                                                        this.selectedTeam.result === 'LOSS' ? 'text-red-400' : 'text-yellow-400'}">
+                        <span class="text-xl font-bold ${MedianUtils.getResultClass(this.selectedTeam.result)}">
                             ${this.selectedTeam.result}
                         </span>
                     </div>
+                    ${this.renderTiebreakerNote(this.selectedTeam.tiebreakerApplied)}
                 </div>
-                ${historical ? `
-                    <div class="text-sm text-gray-400">
-                        <p>vs. Historical Week 1 Average (${historical.averageWeek1Score}): 
-                           <span class="${historical.isAboveAverage ? 'text-green-400' : 'text-red-400'}">
-                               ${historical.isAboveAverage ? '+' : '-'}${historical.marginFromAverage}
-                           </span>
-                        </p>
-                    </div>
-                ` : ''}
+                ${this.renderHistoricalContext(historical)}
             `;
         }
         
         // Load and display player breakdown
         if (playerBreakdownContainer) {
             try {
-                const roster = await window.espnAPI.fetchTeamRoster(this.selectedTeam.canonicalCode || this.selectedTeam.team);
+                // Rosters are keyed by ESPN abbreviation, not canonical code
+                const roster = await window.espnAPI.fetchTeamRoster(this.selectedTeam.team, this.currentWeek);
                 this.renderPlayerBreakdown(roster, playerBreakdownContainer);
+                this.renderWhatIfSimulator(roster);
             } catch (error) {
                 playerBreakdownContainer.innerHTML = `
                     <p class="text-gray-400 text-center py-4">
                         Player details unavailable
                     </p>
                 `;
+                this.renderWhatIfSimulator([]);
             }
         }
         
@@ -205,17 +615,213 @@ class RFFLWeek1App {
         this.renderMedianComparisonChart();
     }
 
+    /**
+     * Historical average, percentile rank and the franchise's past seasons
+     */
+    renderHistoricalContext(historical) {
+        if (!historical) return '';
+        
+        const franchise = historical.franchise;
+        const seasons = franchise ? franchise.seasons.slice(-5).reverse() : [];
+        
+        return `
+            <div class="text-sm text-gray-400 space-y-1">
+                <p>vs. Historical Week ${historical.week} Average (${historical.averageScore.toFixed(2)}): 
+                   <span class="${historical.isAboveAverage ? 'text-green-400' : 'text-red-400'}">
+                       ${historical.isAboveAverage ? '+' : '-'}${historical.marginFromAverage.toFixed(2)}
+                   </span>
+                </p>
+                ${historical.percentileRank !== null ? `
+                    <p>${window.medianCalculator.ordinal(Math.round(historical.percentileRank))} percentile of Week ${historical.week} scores across ${historical.yearsTracked} seasons</p>
+                ` : ''}
+                ${franchise ? `
+                    <p>Franchise Week ${historical.week}: ${franchise.wins}-${franchise.losses} vs. median,
+                       avg ${franchise.averageScore.toFixed(2)}, best ${franchise.bestScore.toFixed(2)}</p>
+                    <ul class="text-xs text-gray-500">
+                        ${seasons.map(s => `
+                            <li>${s.season}: ${s.score.toFixed(2)} (${window.medianCalculator.ordinal(s.rank)} of ${s.teams}, median ${s.median.toFixed(2)})
+                                <span class="${MedianUtils.getResultClass(s.result)}">${s.result}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderTiebreakerNote(tiebreaker) {
+        if (!tiebreaker) return '';
+        
+        return `
+            <div class="mt-3 text-sm text-center text-yellow-300">
+                <p>⚖️ Tied the median with ${tiebreaker.tiedWith.join(', ')} — decided by ${tiebreaker.ruleLabel.toLowerCase()}</p>
+                <p class="text-gray-400">${tiebreaker.detail}${tiebreaker.seed !== null ? ` · seed ${tiebreaker.seed}` : ''}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * What-if simulator: edit the selected team's starters or any team total
+     * and re-run the median via MedianCalculator.simulateScoreChanges
+     */
+    renderWhatIfSimulator(players) {
+        const container = document.getElementById('what-if-simulator');
+        if (!container || !this.currentMedianResults) return;
+        
+        const selectedCode = this.getTeamCode(this.selectedTeam);
+        this.whatIfPlayers = (players || []).filter(p => window.rfflData.isStarterSlot(p.slot));
+        
+        container.innerHTML = `
+            <div class="flex justify-between items-center mb-4">
+                <h4 class="text-lg font-semibold text-white">🔮 What-If Simulator</h4>
+                <button data-whatif-reset class="bg-gray-700 hover:bg-gray-600 text-white text-sm py-1 px-3 rounded-lg">
+                    Reset
+                </button>
+            </div>
+            <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div>
+                    <h5 class="text-md font-semibold mb-3 text-gray-300">${selectedCode} Starters</h5>
+                    <div class="space-y-2">
+                        ${this.whatIfPlayers.length > 0 ? this.whatIfPlayers.map((player, index) => `
+                            <label class="flex justify-between items-center gap-2 text-sm">
+                                <span class="text-gray-300 truncate">${player.slot} · ${player.name}</span>
+                                <input type="number" step="0.1" data-whatif-player="${index}"
+                                       value="${this.whatIfPlayerScores[index] ?? player.score}"
+                                       class="w-20 bg-gray-700 text-white rounded px-2 py-1 text-right">
+                            </label>
+                        `).join('') : '<p class="text-gray-400 text-sm">No player data available</p>'}
+                    </div>
+                </div>
+                <div>
+                    <h5 class="text-md font-semibold mb-3 text-gray-300">Team Totals</h5>
+                    <div class="grid grid-cols-2 gap-2">
+                        ${this.currentMedianResults.teams.map(team => {
+                            const code = this.getTeamCode(team);
+                            return `
+                                <label class="flex justify-between items-center gap-2 text-sm">
+                                    <span class="${code === selectedCode ? 'text-yellow-300 font-semibold' : 'text-gray-300'}">${code}</span>
+                                    <input type="number" step="0.1" data-whatif-team="${code}"
+                                           value="${this.whatIfOverrides[code] ?? team.score}"
+                                           class="w-20 bg-gray-700 text-white rounded px-2 py-1 text-right">
+                                </label>
+                            `;
+                        }).join('')}
+                    </div>
+                </div>
+                <div id="what-if-results"></div>
+            </div>
+        `;
+        
+        this.renderWhatIfResults();
+    }
+
+    handleWhatIfInput(input) {
+        const value = parseFloat(input.value);
+        if (isNaN(value)) return;
+        
+        if (input.dataset.whatifPlayer !== undefined) {
+            this.whatIfPlayerScores[input.dataset.whatifPlayer] = value;
+            
+            // Starter edits roll up into the selected team's total
+            const delta = this.whatIfPlayers.reduce((sum, player, index) =>
+                sum + ((this.whatIfPlayerScores[index] ?? player.score) - player.score), 0);
+            const code = this.getTeamCode(this.selectedTeam);
+            const total = window.medianCalculator.roundScore(this.selectedTeam.score + delta);
+            this.whatIfOverrides[code] = total;
+            
+            const teamInput = document.querySelector(`[data-whatif-team="${code}"]`);
+            if (teamInput) teamInput.value = total;
+        } else if (input.dataset.whatifTeam) {
+            this.whatIfOverrides[input.dataset.whatifTeam] = value;
+        }
+        
+        this.renderWhatIfResults();
+    }
+
+    resetWhatIf() {
+        this.whatIfOverrides = {};
+        this.whatIfPlayerScores = {};
+        this.renderWhatIfSimulator(this.whatIfPlayers);
+    }
+
+    renderWhatIfResults() {
+        const container = document.getElementById('what-if-results');
+        if (!container) return;
+        
+        let simulation;
+        try {
+            simulation = window.medianCalculator.simulateScoreChanges(this.currentMedianResults, this.whatIfOverrides);
+        } catch (error) {
+            container.innerHTML = `<p class="text-red-400 text-sm">${error.message}</p>`;
+            return;
+        }
+        
+        // The followed team leads the points-needed list
+        const stillNeeded = simulation.pointsNeeded
+            .filter(entry => entry.needed > 0)
+            .sort((a, b) => window.myTeam.isMine(b.team) - window.myTeam.isMine(a.team) || a.needed - b.needed);
+        
+        container.innerHTML = `
+            <h5 class="text-md font-semibold mb-3 text-gray-300">Simulated Result</h5>
+            <p class="text-sm text-gray-400">New Median</p>
+            <p class="text-2xl font-bold text-white mb-1">${simulation.newMedian.toFixed(2)}</p>
+            <p class="text-sm mb-4 ${MedianUtils.getMarginClass(simulation.medianDelta)}">
+                ${MedianUtils.formatMargin(simulation.medianDelta)} vs. actual ${simulation.oldMedian.toFixed(2)}
+            </p>
+            <p class="text-sm text-gray-400 mb-1">Result Changes</p>
+            <div class="space-y-1 mb-4 text-sm">
+                ${simulation.flips.length > 0 ? simulation.flips.map(flip => `
+                    <p class="text-white">${flip.team}:
+                        <span class="${MedianUtils.getResultClass(flip.from)}">${flip.from}</span>
+                        →
+                        <span class="${MedianUtils.getResultClass(flip.to)}">${flip.to}</span>
+                    </p>
+                `).join('') : '<p class="text-gray-400">No results change</p>'}
+            </div>
+            <p class="text-sm text-gray-400 mb-1">Points Needed to Clear the Median</p>
+            <div class="space-y-1 text-sm">
+                ${stillNeeded.length > 0 ? stillNeeded.map(entry => `
+                    <p class="flex justify-between ${window.myTeam.isMine(entry.team) ? 'font-bold text-yellow-300' : 'text-white'}">
+                        <span>${entry.team}${window.myTeam.isMine(entry.team) ? ' ⭐' : ''}</span>
+                        <span class="text-red-400">+${entry.needed.toFixed(2)} (${entry.target.toFixed(2)})</span>
+                    </p>
+                `).join('') : '<p class="text-gray-400">Every team clears the median</p>'}
+            </div>
+        `;
+    }
+
+    getTeamCode(team) {
+        return team.canonicalCode || team.team;
+    }
+
     renderPlayerBreakdown(players, container) {
         if (!players || players.length === 0) {
             container.innerHTML = '<p class="text-gray-400 text-center">No player data available</p>';
             return;
         }
         
-        const starters = players.filter(p => window.rfflData.starterSlots.has(p.slot));
+        const starters = players.filter(p => window.rfflData.isStarterSlot(p.slot));
         const bench = players.filter(p => window.rfflData.benchSlots.has(p.slot));
+        const progress = window.gameClock?.summarize(players);
         
         container.innerHTML = `
             <h4 class="text-lg font-semibold mb-4 text-white">Player Breakdown</h4>
+            ${progress?.hasGameData ? `
+                <div class="grid grid-cols-3 gap-4 text-center bg-gray-700 rounded-lg p-3 mb-4">
+                    <div>
+                        <p class="text-gray-400 text-xs">Yet to Play</p>
+                        <p class="text-xl font-bold text-white">${progress.yetToPlay}</p>
+                    </div>
+                    <div>
+                        <p class="text-gray-400 text-xs">In Progress</p>
+                        <p class="text-xl font-bold text-yellow-400">${progress.inProgress}</p>
+                    </div>
+                    <div>
+                        <p class="text-gray-400 text-xs">Proj. Remaining</p>
+                        <p class="text-xl font-bold text-white">${progress.remainingProj.toFixed(1)}</p>
+                    </div>
+                </div>
+            ` : ''}
             <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 <div>
                     <h5 class="text-md font-semibold mb-3 text-gray-300">Starters</h5>
@@ -246,6 +852,9 @@ class RFFLWeek1App {
             performanceIcon = ' ❄️';
         }
         
+        const gameStatus = window.gameClock?.formatGameStatus(player.game) || '';
+        const isInProgress = player.game?.status === 'IN_PROGRESS';
+        
         return `
             <div class="flex justify-between items-center py-2 px-3 bg-gray-700 rounded">
                 <div>
@@ -260,6 +869,11 @@ class RFFLWeek1App {
                     <p class="font-bold ${scoreColor}">
                         ${player.score.toFixed(1)}
                     </p>
+                    ${gameStatus ? `
+                        <p class="text-xs ${isInProgress ? 'text-yellow-400' : 'text-gray-400'}">
+                            ${player.opp ? `vs ${player.opp} · ` : ''}${gameStatus}
+                        </p>
+                    ` : ''}
                 </div>
             </div>
         `;
@@ -292,6 +906,322 @@ class RFFLWeek1App {
         });
     }
 
+    /**
+     * Reports built from every team's roster: optimal lineups (and whether
+     * they would have flipped a median result) and the lineup compliance audit
+     */
+    async loadRosterReports() {
+        const results = this.liveMedianResults;
+        if (!results) return;
+        
+        const rosters = new Map();
+        await Promise.all(results.teams.map(async team => {
+            try {
+                rosters.set(team.team, await window.espnAPI.fetchTeamRoster(team.team, this.currentWeek));
+            } catch (error) {
+                // Team shows as unavailable in the reports
+            }
+        }));
+        
+        try {
+            this.benchReport = window.rfflData.buildBenchReport(results, rosters);
+            this.renderBenchReport();
+        } catch (error) {
+            console.warn('Bench report unavailable:', error.message);
+        }
+        
+        try {
+            this.complianceReport = window.lineupAudit?.auditLeague(results, rosters, {
+                pastWeek: this.currentWeek < window.espnAPI.getCurrentWeek()
+            }) || null;
+            this.renderComplianceReport();
+        } catch (error) {
+            console.warn('Lineup compliance audit unavailable:', error.message);
+        }
+        
+        await this.recordProjectionAccuracy(results, rosters);
+    }
+
+    /**
+     * Add the week's finished games to the season projection-accuracy
+     * record and redraw its chart. Only fresh ESPN data is recorded: stale,
+     * sample and fixture-replay scores would skew the season's record.
+     */
+    async recordProjectionAccuracy(results, rosters) {
+        if (!window.projectionTracker) return;
+        
+        try {
+            if (!['cache', 'sample', 'fixture'].includes(window.espnAPI.lastDataSource)) {
+                await window.projectionTracker.recordWeek(results, rosters, { season: window.espnAPI.year });
+            }
+            this.projectionReport = await window.projectionTracker.getReport(window.espnAPI.year);
+        } catch (error) {
+            console.warn('Projection accuracy unavailable:', error.message);
+        }
+        this.renderProjectionAccuracyChart();
+    }
+
+    renderBenchReport() {
+        const section = document.getElementById('bench-report-section');
+        const body = document.getElementById('bench-report-body');
+        const summary = document.getElementById('bench-report-summary');
+        if (!section || !body || !this.benchReport) return;
+        
+        const analyzed = this.benchReport.teams.filter(t => t.available);
+        section.style.display = analyzed.length > 0 ? 'block' : 'none';
+        if (analyzed.length === 0) return;
+        
+        const describeMoves = (team) => [
+            ...team.moves.in.map(p => `Start ${p.name} (${p.score.toFixed(1)}) at ${p.optimalSlot}`),
+            ...team.moves.out.map(p => `Bench ${p.name} (${p.score.toFixed(1)})`)
+        ].join('\n');
+        
+        if (summary) {
+            const flips = this.benchReport.flips;
+            summary.textContent = `${this.benchReport.totalLeftOnBench.toFixed(2)} points left on benches league-wide · ` +
+                (flips.length > 0
+                    ? `optimal lineups would have flipped ${flips.map(f => `${f.team} (${f.from} → ${f.to})`).join(', ')}`
+                    : 'no optimal lineup would have changed a median result');
+        }
+        
+        body.innerHTML = analyzed.map(team => `
+            <tr class="hover:bg-gray-700 ${team.wouldFlip ? 'bg-yellow-900/20' : ''}" title="${describeMoves(team)}">
+                <td class="p-3 font-bold text-white">${team.team}</td>
+                <td class="p-3 text-right text-white">${team.actualScore.toFixed(2)}</td>
+                <td class="p-3 text-right text-gray-300">${team.optimalScore.toFixed(2)}</td>
+                <td class="p-3 text-right ${team.pointsLeftOnBench > 0 ? 'text-red-400' : 'text-gray-400'}">${team.pointsLeftOnBench.toFixed(2)}</td>
+                <td class="p-3 text-right text-gray-300">${team.efficiency !== null ? `${team.efficiency.toFixed(1)}%` : '—'}</td>
+                <td class="p-3 text-center">
+                    <span class="${MedianUtils.getResultClass(team.result)}">${team.result}</span>
+                    ${team.wouldFlip ? `→ <span class="font-bold ${MedianUtils.getResultClass(team.optimalResult)}">${team.optimalResult}</span> 🔄` : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    renderComplianceReport() {
+        const section = document.getElementById('compliance-section');
+        const body = document.getElementById('compliance-body');
+        const summary = document.getElementById('compliance-summary');
+        if (!section || !body || !this.complianceReport) return;
+        
+        const report = this.complianceReport;
+        section.style.display = report.counts.audited > 0 ? 'block' : 'none';
+        if (report.counts.audited === 0) return;
+        
+        if (summary) {
+            summary.textContent = `${report.counts.audited} lineups audited · ${report.counts.flagged} with issues` +
+                (report.counts.flagged > 0 ? ` (${report.counts.flaggedWins} won vs. the median)` : '') +
+                (report.final ? ' · final' : ' · provisional until every starter\'s game kicks off');
+        }
+        
+        const listed = report.teams.filter(t => t.audited && t.issues.length > 0);
+        body.innerHTML = listed.length === 0
+            ? '<tr><td colspan="3" class="p-3 text-center text-green-400">✓ Every audited lineup is compliant</td></tr>'
+            : listed.map(team => `
+                <tr class="hover:bg-gray-700 ${team.compliant ? '' : 'bg-red-900/20'}">
+                    <td class="p-3 font-bold text-white">${team.team}</td>
+                    <td class="p-3 text-center">
+                        <span class="${MedianUtils.getResultClass(team.result)}">${team.result}</span>
+                        <span class="text-gray-400 text-xs">${team.marginVsMedian >= 0 ? '+' : ''}${team.marginVsMedian.toFixed(2)}</span>
+                    </td>
+                    <td class="p-3 text-xs">
+                        ${team.issues.map(issue => `
+                            <div class="${issue.severity === 'error' ? 'text-red-400' : 'text-yellow-400'}">${issue.severity === 'error' ? '✗' : '⚠️'} ${issue.description}</div>
+                        `).join('')}
+                    </td>
+                </tr>
+            `).join('');
+    }
+
+    /**
+     * Save the commissioner report as a text file
+     */
+    downloadComplianceReport() {
+        if (!this.complianceReport) return;
+        
+        const text = window.lineupAudit.formatReport(this.complianceReport);
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `rffl-week${this.complianceReport.week}-lineup-compliance.txt`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Build H2H + median standings for every week through the selected one.
+     * Weeks without ESPN data are skipped rather than filled with sample scores.
+     */
+    async loadSeasonStandings() {
+        const button = document.getElementById('season-standings-btn');
+        const note = document.getElementById('season-standings-note');
+        if (button) button.disabled = true;
+        
+        try {
+            const weeks = [];
+            for (let week = 1; week <= this.currentWeek; week++) {
+                try {
+                    const teamScores = await window.espnAPI.fetchWeekScores(week, { allowSample: false });
+                    weeks.push({ week, teams: window.rfflData.enrichTeamData(teamScores, window.espnAPI.year, week) });
+                } catch (error) {
+                    console.warn(`Skipping Week ${week} in season standings:`, error.message);
+                }
+            }
+            
+            if (weeks.length === 0) {
+                if (note) note.textContent = 'No ESPN scores available yet for season standings.';
+                return;
+            }
+            
+            // Break exact-median ties as the weekly view does
+            const resolvedWeeks = await window.seasonStandings.resolveWeeks(weeks, (team, week) =>
+                window.espnAPI.fetchTeamRoster(team.team, week), { season: window.espnAPI.year });
+            this.seasonStandings = window.seasonStandings.calculateStandings(resolvedWeeks);
+            this.renderSeasonStandings();
+            
+            if (note) {
+                note.textContent = `Through Week ${this.currentWeek} · weeks included: ${this.seasonStandings.weeksIncluded.join(', ')}`;
+            }
+        } catch (error) {
+            console.error('Failed to build season standings:', error);
+            this.showError('Unable to build season standings.');
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    renderSeasonStandings() {
+        const body = document.getElementById('season-standings-body');
+        if (!body || !this.seasonStandings) return;
+        
+        const format = (record) => window.seasonStandings.formatRecord(record);
+        
+        body.innerHTML = this.seasonStandings.standings.map(record => `
+            <tr class="hover:bg-gray-700">
+                <td class="p-3 text-gray-300">${record.rank}</td>
+                <td class="p-3 font-bold text-white">${record.team}</td>
+                <td class="p-3 text-center text-gray-300">${format(record.h2h)}</td>
+                <td class="p-3 text-center text-gray-300">${format(record.median)}</td>
+                <td class="p-3 text-center font-semibold text-white">${format(record.combined)}</td>
+                <td class="p-3 text-right text-white">${record.pointsFor.toFixed(2)}</td>
+                <td class="p-3 text-right text-gray-400">${record.pointsAgainst.toFixed(2)}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Franchise picker: every franchise in the mapping or archive, plus this
+     * week's teams
+     */
+    renderFranchiseSelector() {
+        const selector = document.getElementById('franchise-selector');
+        if (!selector) return;
+        
+        const franchises = new Map(window.franchiseLineage.getFranchises().map(f => [f.code, f.name]));
+        (this.liveMedianResults?.teams || []).forEach(team => {
+            const code = this.getTeamCode(team);
+            if (!franchises.has(code)) franchises.set(code, team.teamFullName || null);
+        });
+        
+        const codes = [...franchises.keys()].sort();
+        if (!this.selectedFranchise || !franchises.has(this.selectedFranchise)) {
+            this.selectedFranchise = codes[0] || null;
+        }
+        
+        selector.innerHTML = codes.map(code => {
+            const name = franchises.get(code);
+            return `<option value="${code}">${code}${name && name !== code ? ` · ${name}` : ''}</option>`;
+        }).join('');
+        selector.value = this.selectedFranchise || '';
+    }
+
+    /**
+     * Season-by-season lineage of the selected franchise with its record
+     * against each week's median (FranchiseLineage)
+     */
+    renderFranchiseLineage() {
+        const container = document.getElementById('franchise-lineage');
+        if (!container || !window.franchiseLineage) return;
+        
+        this.renderFranchiseSelector();
+        if (!this.selectedFranchise) {
+            container.innerHTML = '<p class="text-gray-400">No franchises loaded yet.</p>';
+            return;
+        }
+        
+        // Sample scores are placeholders, so only real results join the lineage
+        const options = {
+            currentResults: window.espnAPI.lastDataSource !== 'sample' ? this.liveMedianResults : null,
+            season: window.espnAPI.year
+        };
+        const lineage = window.franchiseLineage.build(this.selectedFranchise, options);
+        const span = (seasons) => seasons.length > 1 ? `${seasons[0]}–${seasons[seasons.length - 1]}` : `${seasons[0]}`;
+        const format = (record) => window.franchiseLineage.formatRecord(record);
+        const pct = (record) => record.pct !== null ? ` (${(record.pct * 100).toFixed(1)}%)` : '';
+        
+        if (lineage.seasons.length === 0) {
+            container.innerHTML = `<p class="text-gray-400">No canonical or archived seasons for ${lineage.code} yet.</p>`;
+            return;
+        }
+        
+        container.innerHTML = `
+            <div class="flex flex-wrap justify-between gap-2 mb-3">
+                <p class="text-white font-semibold">${lineage.name}
+                    <span class="text-gray-400 font-normal">· ${span(lineage.seasons.map(s => s.season))}</span>
+                </p>
+                <p>Lifetime vs. median: <span class="font-bold text-white">${format(lineage.record)}</span>${pct(lineage.record)}</p>
+            </div>
+            <div class="overflow-x-auto">
+                <table class="w-full text-left">
+                    <thead class="text-gray-400 uppercase tracking-wider text-xs border-b border-gray-700">
+                        <tr>
+                            <th class="p-2">Season</th>
+                            <th class="p-2">Name</th>
+                            <th class="p-2">Owners</th>
+                            <th class="p-2">ESPN</th>
+                            <th class="p-2 text-center">vs. Median</th>
+                            <th class="p-2">Changes</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-700">
+                        ${lineage.seasons.slice().reverse().map(season => `
+                            <tr>
+                                <td class="p-2 text-gray-300">${season.season}</td>
+                                <td class="p-2 text-white">${season.name || '—'}</td>
+                                <td class="p-2">${season.owners ? season.owners.join(' & ') || '—' : '<span class="text-gray-500">not on record</span>'}</td>
+                                <td class="p-2 text-gray-400">${season.codes.join(', ')}</td>
+                                <td class="p-2 text-center" title="${season.results.map(r => `Week ${r.week}: ${r.score.toFixed(2)} vs ${r.median.toFixed(2)} ${r.result}${r.live ? ' (live)' : ''}`).join('\n')}">
+                                    ${season.record.games === 0 ? '—' : season.record.games === 1
+                                        ? `<span class="${MedianUtils.getResultClass(season.results[0].result)}">${season.results[0].result}</span>${season.results[0].live ? ' <span class="text-xs text-gray-500">live</span>' : ''}`
+                                        : format(season.record)}
+                                </td>
+                                <td class="p-2 text-xs text-gray-400">${season.events.map(e => e.description).join('<br>')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${lineage.owners.length > 0 ? `
+                <div class="mt-4">
+                    <p class="text-gray-400 text-xs uppercase tracking-wider mb-1">Owners vs. median</p>
+                    <ul class="space-y-1">
+                        ${lineage.owners.map(owner => {
+                            const lifetime = window.franchiseLineage.getOwnerHistory(owner.owner, options);
+                            const elsewhere = lifetime.franchises.filter(f => f.code !== lineage.code);
+                            return `
+                                <li><span class="text-white font-semibold">${owner.owner}</span>:
+                                    ${format(owner.record)} with ${lineage.code} (${span(owner.seasons)})
+                                    ${elsewhere.length > 0 ? `· lifetime ${format(lifetime.record)}${pct(lifetime.record)} incl. ${elsewhere.map(f => f.code).join(', ')}` : ''}
+                                </li>
+                            `;
+                        }).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+        `;
+    }
+
     renderCharts() {
         if (!this.currentMedianResults) return;
         
@@ -302,6 +1232,247 @@ class RFFLWeek1App {
         
         // Median Performance Chart  
         this.renderMedianPerformanceChart(chartData);
+        
+        // Win Probability Chart (in-progress weeks only)
+        this.renderWinProbabilityChart();
+        
+        // Median over time, from the snapshot timeline
+        this.renderMedianTimeline();
+        
+        // Season projection accuracy by position
+        this.renderProjectionAccuracyChart();
+    }
+
+    /**
+     * Projection error and bias per starting position, with the owners who
+     * consistently beat their projections; hidden until a game is recorded
+     */
+    renderProjectionAccuracyChart() {
+        const section = document.getElementById('projection-accuracy-section');
+        const ctx = document.getElementById('projection-accuracy-chart');
+        if (!section || !ctx) return;
+        
+        if (this.charts.projectionAccuracy) {
+            this.charts.projectionAccuracy.destroy();
+            this.charts.projectionAccuracy = null;
+        }
+        
+        const report = this.projectionReport;
+        const hasData = report && report.byPosition.length > 0;
+        section.style.display = hasData ? 'block' : 'none';
+        if (!hasData) return;
+        
+        const note = document.getElementById('projection-accuracy-note');
+        if (note) {
+            const owners = report.consistentOwners.map(o => `${o.owner} (${o.beat}/${o.count})`);
+            note.textContent = `${report.starters.count} starter games over ${report.weeks.length} week(s) · ` +
+                `mean absolute error ${report.starters.mae.toFixed(1)} · bias ${report.starters.bias >= 0 ? '+' : ''}${report.starters.bias.toFixed(1)}` +
+                (owners.length > 0 ? ` · consistently beating projections: ${owners.join(', ')}` : '');
+        }
+        
+        this.charts.projectionAccuracy = new Chart(ctx, {
+            type: 'bar',
+            data: window.projectionTracker.generatePositionChartData(report),
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { labels: { color: '#d1d5db' } },
+                    tooltip: {
+                        callbacks: {
+                            afterBody: (items) => `${report.byPosition[items[0].dataIndex].count} starter games`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: { color: '#d1d5db' },
+                        grid: { color: '#4b5563' }
+                    },
+                    y: {
+                        ticks: { color: '#d1d5db' },
+                        grid: { color: '#4b5563' },
+                        title: { display: true, text: 'Points', color: '#9ca3af' }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Median-over-time chart plus the replay scrubber; hidden until the
+     * week has at least two snapshots
+     */
+    renderMedianTimeline() {
+        const section = document.getElementById('median-timeline-section');
+        const ctx = document.getElementById('median-timeline-chart');
+        if (!section || !ctx || !window.snapshotStore) return;
+        
+        if (this.charts.medianTimeline) {
+            this.charts.medianTimeline.destroy();
+            this.charts.medianTimeline = null;
+        }
+        
+        const timeline = this.snapshotTimeline;
+        section.style.display = timeline.length >= 2 ? 'block' : 'none';
+        if (timeline.length < 2) return;
+        
+        this.charts.medianTimeline = new Chart(ctx, {
+            type: 'line',
+            data: window.snapshotStore.generateTimelineChartData(timeline),
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: { labels: { color: '#d1d5db' } }
+                },
+                scales: {
+                    x: {
+                        ticks: { color: '#d1d5db', maxRotation: 45, autoSkip: true, maxTicksLimit: 12 },
+                        grid: { color: '#4b5563' }
+                    },
+                    y: {
+                        ticks: { color: '#d1d5db' },
+                        grid: { color: '#4b5563' }
+                    }
+                },
+                onClick: (event, elements) => {
+                    if (elements.length > 0) this.showSnapshot(elements[0].index);
+                }
+            }
+        });
+        
+        const scrubber = document.getElementById('replay-scrubber');
+        if (scrubber) {
+            scrubber.max = timeline.length - 1;
+            scrubber.value = this.replayIndex ?? timeline.length - 1;
+        }
+        this.renderReplayStatus();
+    }
+
+    /**
+     * Replay a stored snapshot: median display and team grid show that moment
+     * @param {number} index - position in snapshotTimeline; the last one returns to live
+     */
+    showSnapshot(index) {
+        const timeline = this.snapshotTimeline;
+        if (timeline.length === 0) return;
+        
+        const clamped = Math.min(Math.max(0, index), timeline.length - 1);
+        this.replayIndex = clamped === timeline.length - 1 ? null : clamped;
+        this.currentMedianResults = this.replayIndex === null
+            ? this.liveMedianResults
+            : { ...this.liveMedianResults, ...timeline[clamped] };
+        
+        this.renderMedianDisplay();
+        this.renderMyTeam();
+        this.renderTeamsGrid();
+        
+        const scrubber = document.getElementById('replay-scrubber');
+        if (scrubber) scrubber.value = clamped;
+        this.renderReplayStatus();
+    }
+
+    renderReplayStatus() {
+        const label = document.getElementById('replay-time');
+        const liveBtn = document.getElementById('replay-live-btn');
+        const events = document.getElementById('replay-events');
+        const timeline = this.snapshotTimeline;
+        const index = this.replayIndex ?? timeline.length - 1;
+        const snapshot = timeline[index];
+        if (!snapshot) return;
+        
+        if (label) {
+            label.textContent = this.replayIndex === null
+                ? `Live · ${timeline.length} snapshots`
+                : `Replaying ${window.snapshotStore.formatTime(snapshot.timestamp)} · median ${snapshot.median.toFixed(2)}`;
+        }
+        if (liveBtn) liveBtn.disabled = this.replayIndex === null;
+        
+        if (events) {
+            // Most recent status flips up to the replayed moment
+            const changes = window.snapshotStore.getStatusChanges(timeline)
+                .filter(change => change.index <= index)
+                .slice(-6)
+                .reverse();
+            events.innerHTML = changes.length === 0
+                ? '<li class="text-gray-500">No WIN/LOSS changes yet</li>'
+                : changes.map(change => `
+                    <li>
+                        <span class="text-gray-500">${window.snapshotStore.formatTime(change.timestamp)}</span>
+                        <span class="font-semibold text-white">${change.team}</span>
+                        ${change.from} → <span class="${MedianUtils.getResultClass(change.to)}">${change.to}</span>
+                        <span class="text-gray-500">(${change.score.toFixed(2)} vs ${change.median.toFixed(2)})</span>
+                    </li>
+                `).join('');
+        }
+    }
+
+    renderWinProbabilityChart() {
+        const section = document.getElementById('win-probability-section');
+        const ctx = document.getElementById('win-probability-chart');
+        if (!section || !ctx) return;
+        
+        if (this.charts.winProbability) {
+            this.charts.winProbability.destroy();
+            this.charts.winProbability = null;
+        }
+        
+        const simulation = this.winProbabilities;
+        section.style.display = simulation ? 'block' : 'none';
+        if (!simulation) return;
+        
+        const note = document.getElementById('win-probability-note');
+        if (note) {
+            note.textContent = `${simulation.iterations.toLocaleString()} simulations · projected median ${simulation.median.expected.toFixed(2)} ` +
+                `(80% range ${simulation.median.p10.toFixed(2)}–${simulation.median.p90.toFixed(2)}) · seed ${simulation.seed}`;
+        }
+        
+        this.charts.winProbability = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: simulation.teams.map(t => t.team),
+                datasets: [{
+                    label: 'Chance to Finish Above Median',
+                    data: simulation.teams.map(t => Math.round(t.winProbability * 1000) / 10),
+                    backgroundColor: simulation.teams.map(t =>
+                        t.winProbability >= 0.5 ? 'rgba(16, 185, 129, 0.7)' : 'rgba(239, 68, 68, 0.7)'
+                    ),
+                    // Outline the followed team
+                    borderColor: simulation.teams.map(t => window.myTeam.isMine(t.team) ? '#facc15' : 'transparent'),
+                    borderWidth: simulation.teams.map(t => window.myTeam.isMine(t.team) ? 3 : 1)
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const team = simulation.teams[context.dataIndex];
+                                return `${context.parsed.x}% · expected ${team.expectedScore.toFixed(1)} (${team.scoreRange.p10.toFixed(1)}–${team.scoreRange.p90.toFixed(1)})`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        min: 0,
+                        max: 100,
+                        ticks: { color: '#d1d5db', callback: (value) => `${value}%` },
+                        grid: { color: '#4b5563' }
+                    },
+                    y: {
+                        ticks: { color: '#d1d5db' },
+                        grid: { color: '#4b5563' }
+                    }
+                }
+            }
+        });
     }
 
     renderScoreDistributionChart(chartData) {
@@ -434,6 +1605,79 @@ class RFFLWeek1App {
             recapBtn.addEventListener('click', () => this.generateAIRecap());
         }
         
+        // What-if simulator inputs (container is re-rendered per selected team)
+        const whatIfContainer = document.getElementById('what-if-simulator');
+        if (whatIfContainer) {
+            whatIfContainer.addEventListener('input', (e) => {
+                if (e.target.matches('[data-whatif-player], [data-whatif-team]')) {
+                    this.handleWhatIfInput(e.target);
+                }
+            });
+            whatIfContainer.addEventListener('click', (e) => {
+                if (e.target.closest('[data-whatif-reset]')) this.resetWhatIf();
+            });
+        }
+        
+        // Commissioner lineup compliance report
+        const complianceBtn = document.getElementById('compliance-download-btn');
+        if (complianceBtn) {
+            complianceBtn.addEventListener('click', () => this.downloadComplianceReport());
+        }
+        
+        // Snapshot replay scrubber
+        const scrubber = document.getElementById('replay-scrubber');
+        if (scrubber) {
+            scrubber.addEventListener('input', (e) => this.showSnapshot(parseInt(e.target.value, 10)));
+        }
+        const liveBtn = document.getElementById('replay-live-btn');
+        if (liveBtn) {
+            liveBtn.addEventListener('click', () => this.showSnapshot(this.snapshotTimeline.length - 1));
+        }
+        
+        // Season standings button
+        const seasonBtn = document.getElementById('season-standings-btn');
+        if (seasonBtn) {
+            seasonBtn.addEventListener('click', () => this.loadSeasonStandings());
+        }
+        
+        // Followed team ("my team")
+        const myTeamSelector = document.getElementById('my-team-selector');
+        if (myTeamSelector) {
+            myTeamSelector.addEventListener('change', (e) => {
+                window.myTeam.set(e.target.value || null);
+                this.renderMyTeam();
+                this.renderTeamsGrid();
+                this.renderWinProbabilityChart();
+                if (this.selectedTeam) this.renderWhatIfResults();
+            });
+        }
+        
+        // Head-to-head comparison pickers
+        ['compare-team-a', 'compare-team-b'].forEach((id, index) => {
+            const selector = document.getElementById(id);
+            if (!selector) return;
+            selector.addEventListener('change', (e) => {
+                const codes = [...this.comparisonCodes];
+                codes[index] = e.target.value || null;
+                if (codes[1 - index] === codes[index]) codes[1 - index] = null;
+                this.comparisonCodes = codes.filter(Boolean);
+                this.loadComparison();
+            });
+        });
+        const comparisonCloseBtn = document.getElementById('comparison-close-btn');
+        if (comparisonCloseBtn) {
+            comparisonCloseBtn.addEventListener('click', () => this.closeComparison());
+        }
+        
+        // Franchise lineage picker
+        const franchiseSelector = document.getElementById('franchise-selector');
+        if (franchiseSelector) {
+            franchiseSelector.addEventListener('change', (e) => {
+                this.selectedFranchise = e.target.value;
+                this.renderFranchiseLineage();
+            });
+        }
+        
         // Add keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'r' && (e.ctrlKey || e.metaKey)) {
@@ -453,9 +1697,9 @@ class RFFLWeek1App {
     }
 
     setupAutoRefresh() {
-        // Check if Week 1 is live and setup auto-refresh
-        if (window.espnAPI.isWeek1Live()) {
-            this.isLiveMode = true;
+        // Check if the selected week is live and setup auto-refresh
+        this.isLiveMode = window.espnAPI.isWeekLive(this.currentWeek);
+        if (this.isLiveMode) {
             this.updateInterval = setInterval(() => {
                 this.refreshData();
             }, 5 * 60 * 1000); // Refresh every 5 minutes during live games
@@ -517,12 +1761,17 @@ class RFFLWeek1App {
         
         const topScore = results.teams[0];
         const bottomScore = results.teams[results.teams.length - 1];
+        const week = results.week;
+        const accuracyLines = window.projectionTracker?.getRecapLines(this.projectionReport) || [];
+        const formatNote = results.isMedianWeek
+            ? `In RFFL's Week ${week} median format, teams compete against the league median instead of head-to-head opponents.`
+            : `Week ${week} is decided head-to-head; the league median is shown for reference only.`;
         
         return `
-            You are a witty fantasy football analyst covering the RFFL's unique Week 1 median format. 
+            You are a witty fantasy football analyst covering the RFFL's unique median format. 
             
-            Week 1 Median Results:
-            - League Median: ${median} (average of 6th & 7th place scores)
+            Week ${week} Median Results:
+            - League Median: ${median} (${results.ruleDescription.toLowerCase()})
             - Winners (above median): ${winners.length} teams
             - Losers (below median): ${losers.length} teams
             ${ties.length > 0 ? `- Ties (exactly at median): ${ties.length} teams` : ''}
@@ -531,10 +1780,13 @@ class RFFLWeek1App {
             Bottom Performer: ${bottomScore.canonicalCode} with ${bottomScore.score.toFixed(2)} points (${bottomScore.marginVsMedian.toFixed(2)} vs median)
             
             Score Range: ${results.stats.highScore.toFixed(2)} - ${results.stats.lowScore.toFixed(2)}
+            ${accuracyLines.length > 0 ? `
+            Projection Accuracy (season to date):
+            ${accuracyLines.map(line => `- ${line}`).join('\n            ')}
+            ` : ''}
+            Context: ${formatNote} Median weeks create a fair, division-neutral start to the season. ESPN shows placeholder matchups, but this webapp provides the official results.
             
-            Context: In RFFL's Week 1 median format, teams compete against the league median instead of head-to-head opponents. This creates a fair, division-neutral start to the season. ESPN shows placeholder matchups, but this webapp provides the official results.
-            
-            Write a 2-3 sentence engaging recap that captures the essence of Week 1's median results. Be creative, mention the format briefly, and highlight key performances. Keep it concise but entertaining.
+            Write a 2-3 sentence engaging recap that captures the essence of Week ${week}'s median results. Be creative, mention the format briefly, and highlight key performances. Keep it concise but entertaining.
         `;
     }
 
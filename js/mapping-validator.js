@@ -0,0 +1,253 @@
+/**
+ * RFFL Canonical Mapping Validator
+ * Cross-checks ESPN team codes against alias_mapping.yaml and
+ * canonical_teams.csv for the active season, so a code that would silently
+ * fall back to its raw ESPN form (or show as an unknown team) is reported
+ * instead. Also lints the mapping files themselves: overlapping or inverted
+ * alias year ranges, aliases pointing at no canonical team, missing owners
+ * and duplicate rows.
+ *
+ * Issue: { severity: 'error'|'warning'|'info', type, code, message, source, line }
+ */
+
+class CanonicalMappingValidator {
+    constructor() {
+        this.aliasSource = 'alias_mapping.yaml';
+        this.teamsSource = 'canonical_teams.csv';
+        this.severityOrder = { error: 0, warning: 1, info: 2 };
+    }
+
+    /**
+     * Run every check
+     * @param {Object} data - { season, espnCodes, aliasEntries, canonicalRows, loadErrors }
+     *   aliasEntries  - DataParsers.readAliasMapping output
+     *   canonicalRows - DataParsers.readCanonicalTeams output (all seasons)
+     *   loadErrors    - [{source, message, line}] from loading either file
+     * @returns {Object} - { season, checkedAt, ok, counts, issues, teams }
+     */
+    validate(data = {}) {
+        const {
+            season = 2025,
+            espnCodes = [],
+            aliasEntries = [],
+            canonicalRows = [],
+            loadErrors = []
+        } = data;
+
+        const issues = [
+            ...loadErrors.map(error => this.issue('error', 'load-error', null,
+                `Could not load ${error.source}: ${error.message}`, error.source, error.line)),
+            ...this.checkAliasRanges(aliasEntries),
+            ...this.checkOrphanAliases(aliasEntries, canonicalRows),
+            ...this.checkCanonicalRows(canonicalRows, season)
+        ];
+
+        const crossCheck = this.checkESPNCodes(espnCodes, season, aliasEntries, canonicalRows);
+        issues.push(...crossCheck.issues);
+        issues.sort((a, b) => this.severityOrder[a.severity] - this.severityOrder[b.severity]);
+
+        const counts = { error: 0, warning: 0, info: 0 };
+        issues.forEach(issue => counts[issue.severity]++);
+
+        return {
+            season,
+            checkedAt: new Date().toISOString(),
+            ok: counts.error === 0,
+            counts,
+            issues,
+            teams: crossCheck.teams
+        };
+    }
+
+    /**
+     * Same alias with intersecting year ranges, and ranges that end before
+     * they start
+     */
+    checkAliasRanges(aliasEntries) {
+        const issues = [];
+        const byAlias = new Map();
+
+        aliasEntries.forEach(entry => {
+            if (entry.startYear && entry.endYear && entry.startYear > entry.endYear) {
+                issues.push(this.issue('error', 'invalid-range', entry.alias,
+                    `Alias ${entry.alias} → ${entry.canonical} ends (${entry.endYear}) before it starts (${entry.startYear})`,
+                    this.aliasSource, entry.line));
+            }
+            if (!byAlias.has(entry.alias)) byAlias.set(entry.alias, []);
+            byAlias.get(entry.alias).push(entry);
+        });
+
+        byAlias.forEach(entries => {
+            for (let i = 0; i < entries.length; i++) {
+                for (let j = i + 1; j < entries.length; j++) {
+                    const [a, b] = [entries[i], entries[j]];
+                    if (!this.rangesOverlap(a, b)) continue;
+
+                    const same = a.canonical === b.canonical;
+                    issues.push(this.issue(same ? 'warning' : 'error', 'alias-overlap', a.alias,
+                        `Alias ${a.alias} is mapped ${same ? 'twice' : `to both ${a.canonical} and ${b.canonical}`} ` +
+                        `for ${this.formatOverlap(a, b)}${b.line ? ` (see also line ${b.line})` : ''}`,
+                        this.aliasSource, a.line));
+                }
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Aliases whose canonical code has no canonical_teams.csv row in any
+     * season the alias covers
+     */
+    checkOrphanAliases(aliasEntries, canonicalRows) {
+        if (canonicalRows.length === 0) return []; // Nothing to check against (load error reported)
+
+        return aliasEntries
+            .filter(entry => !canonicalRows.some(row =>
+                row.team_code === entry.canonical && this.coversSeason(entry, parseInt(row.season_year, 10))))
+            .map(entry => this.issue('warning', 'orphan-alias', entry.alias,
+                `Alias ${entry.alias} → ${entry.canonical} points at a team with no ${this.teamsSource} row` +
+                (entry.startYear || entry.endYear ? ` in ${this.formatRange(entry)}` : ''),
+                this.aliasSource, entry.line));
+    }
+
+    /**
+     * Active-season rows: missing season, missing owners, co-ownership
+     * without a second owner, duplicate team rows
+     */
+    checkCanonicalRows(canonicalRows, season) {
+        const issues = [];
+        const seen = new Map();
+
+        if (canonicalRows.length > 0 && !canonicalRows.some(row => row.season_year === String(season))) {
+            issues.push(this.issue('error', 'missing-season', null,
+                `${this.teamsSource} has no ${season} rows; every ESPN team will show under its raw code`, this.teamsSource));
+        }
+
+        canonicalRows.forEach(row => {
+            const key = `${row.season_year}-${row.team_code}`;
+            if (seen.has(key)) {
+                issues.push(this.issue('warning', 'duplicate-row', row.team_code,
+                    `${row.team_code} has more than one ${row.season_year} row (first on line ${seen.get(key)}); the last one wins`,
+                    this.teamsSource, row.line));
+            } else {
+                seen.set(key, row.line ?? '?');
+            }
+
+            if (row.season_year !== String(season)) return;
+            if (!row.owner_code_1) {
+                issues.push(this.issue('error', 'missing-owner', row.team_code,
+                    `${row.team_code} has no owner_code_1 for ${season}`, this.teamsSource, row.line));
+            }
+            if (row.is_co_owned === 'Yes' && !row.owner_code_2) {
+                issues.push(this.issue('warning', 'missing-owner', row.team_code,
+                    `${row.team_code} is marked co-owned for ${season} but has no owner_code_2`, this.teamsSource, row.line));
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Resolve every ESPN code the way RFFLDataService does and report codes
+     * that fall back to the raw ESPN code or to "unknown" team info
+     * @returns {Object} - { issues, teams: [{espnCode, canonicalCode, via, teamName, owners}] }
+     */
+    checkESPNCodes(espnCodes, season, aliasEntries, canonicalRows) {
+        const issues = [];
+        const rows = new Map(canonicalRows
+            .filter(row => row.season_year === String(season))
+            .map(row => [row.team_code, row]));
+        const claimed = new Map(); // canonical code → first ESPN code resolving to it
+        // Without season rows (load error or missing season, reported elsewhere) every code would "miss"
+        const checkRows = rows.size > 0;
+
+        const teams = [...new Set(espnCodes)].map(espnCode => {
+            const alias = this.findAlias(aliasEntries, espnCode, season);
+            const canonicalCode = alias ? alias.canonical : espnCode;
+            const row = rows.get(canonicalCode);
+            const via = alias ? 'alias' : row ? 'direct' : 'unmapped';
+
+            if (checkRows && !alias && !row) {
+                const outOfRange = aliasEntries.filter(entry => entry.alias === espnCode);
+                const hint = outOfRange.length > 0
+                    ? ` (alias ${espnCode} → ${outOfRange[0].canonical} only covers ${outOfRange.map(e => this.formatRange(e)).join(', ')})`
+                    : '';
+                issues.push(this.issue('error', 'unmapped-team', espnCode,
+                    `ESPN team ${espnCode} has no alias and no ${season} row in ${this.teamsSource}; it will show under its raw ESPN code${hint}`,
+                    outOfRange.length > 0 ? this.aliasSource : 'ESPN', outOfRange[0]?.line ?? null));
+            } else if (checkRows && alias && !row) {
+                issues.push(this.issue('error', 'missing-canonical-row', espnCode,
+                    `ESPN team ${espnCode} → ${canonicalCode}, but ${this.teamsSource} has no ${season} row for ${canonicalCode}; its team info will show as unknown`,
+                    this.aliasSource, alias.line));
+            }
+
+            if (claimed.has(canonicalCode)) {
+                issues.push(this.issue('error', 'duplicate-canonical', canonicalCode,
+                    `ESPN teams ${claimed.get(canonicalCode)} and ${espnCode} both resolve to ${canonicalCode}`,
+                    alias ? this.aliasSource : 'ESPN', alias?.line ?? null));
+            } else {
+                claimed.set(canonicalCode, espnCode);
+            }
+
+            return {
+                espnCode,
+                canonicalCode,
+                via,
+                teamName: row?.team_full_name || null,
+                owners: row ? [row.owner_code_1, row.owner_code_2].filter(Boolean) : []
+            };
+        });
+
+        if (teams.length > 0) {
+            rows.forEach((row, code) => {
+                if (!claimed.has(code)) {
+                    issues.push(this.issue('info', 'absent-team', code,
+                        `${code} has a ${season} row in ${this.teamsSource} but no ESPN team resolves to it`,
+                        this.teamsSource, row.line));
+                }
+            });
+        }
+
+        return { issues, teams };
+    }
+
+    /**
+     * Alias entry covering a season (the first one, matching resolution order)
+     */
+    findAlias(aliasEntries, code, season) {
+        return aliasEntries.find(entry => entry.alias === code && this.coversSeason(entry, season)) || null;
+    }
+
+    coversSeason(entry, season) {
+        return (!entry.startYear || season >= entry.startYear) && (!entry.endYear || season <= entry.endYear);
+    }
+
+    rangesOverlap(a, b) {
+        const start = Math.max(a.startYear || -Infinity, b.startYear || -Infinity);
+        const end = Math.min(a.endYear || Infinity, b.endYear || Infinity);
+        return start <= end;
+    }
+
+    formatOverlap(a, b) {
+        return this.formatRange({
+            startYear: Math.max(a.startYear || 0, b.startYear || 0) || null,
+            endYear: Math.min(a.endYear || Infinity, b.endYear || Infinity)
+        });
+    }
+
+    formatRange(entry) {
+        const end = entry.endYear && entry.endYear !== Infinity ? entry.endYear : null;
+        if (entry.startYear && end) return entry.startYear === end ? `${end}` : `${entry.startYear}–${end}`;
+        if (entry.startYear) return `${entry.startYear} onward`;
+        if (end) return `through ${end}`;
+        return 'all seasons';
+    }
+
+    issue(severity, type, code, message, source = null, line = null) {
+        return { severity, type, code, message, source, line: line ?? null };
+    }
+}
+
+// Create global instance
+window.mappingValidator = new CanonicalMappingValidator();
@@ -2,35 +2,168 @@
  * RFFL Week 1 Median Calculation Engine
  * Handles all median-related calculations and logic
  * Follows RFFL rules: median = average of 6th & 7th scores when sorted high→low
+ * Other leagues can pick a different rule via week1Settings.medianCalculation
  */
 
 class MedianCalculator {
     constructor() {
-        this.teamCount = 12; // RFFL has 12 teams
+        this.teamCount = null; // Any league size unless seasonSettings.teamCount pins one
         this.week = 1;
-        this.medianPositions = [5, 6]; // 6th and 7th in 0-indexed array (positions 5 and 6)
+        this.medianWeeks = new Set([1]); // Weeks decided by the median (from seasonSettings)
         this.precision = 2; // Round to 2 decimal places
+        
+        this.medianRules = new Map();
+        this.ruleName = 'average_6th_7th';
+        this.ruleOptions = {};
+        this.setupMedianRules();
+    }
+
+    /**
+     * Median rule definitions
+     * Each rule turns the high→low sorted scores into a threshold. Teams above it
+     * WIN, teams below it LOSE, and teams exactly on it follow the rule's tie policy
+     * ('tie' | 'win' | 'loss'), which config can override with tiePolicy.
+     */
+    setupMedianRules() {
+        // RFFL rule: average of the two middle scores (6th & 7th in a 12-team league).
+        // Tie policy 'tie': landing exactly on the median is a TIE (~0.51% per team).
+        // Needs an even team count; odd leagues should use true_median.
+        this.medianRules.set('average_6th_7th', {
+            defaultTiePolicy: 'tie',
+            describe: (ranks) => `Average of ${this.ordinal(ranks[0])} & ${this.ordinal(ranks[1])} ranked scores`,
+            computeThreshold: (scores) => {
+                if (scores.length % 2 !== 0) {
+                    throw new Error(`average_6th_7th needs an even team count, got ${scores.length}; use true_median`);
+                }
+                const upper = scores.length / 2;
+                return { threshold: (scores[upper - 1] + scores[upper]) / 2, ranks: [upper, upper + 1] };
+            }
+        });
+
+        // True statistical median for any league size: the middle score for odd
+        // counts, the average of the two middle scores for even counts.
+        // Tie policy 'tie': in odd leagues the middle team always sits exactly on
+        // the median and records a TIE unless tiePolicy says otherwise.
+        this.medianRules.set('true_median', {
+            defaultTiePolicy: 'tie',
+            describe: (ranks) => ranks.length === 1
+                ? `${this.ordinal(ranks[0])} ranked score (true median)`
+                : `Average of ${this.ordinal(ranks[0])} & ${this.ordinal(ranks[1])} ranked scores (true median)`,
+            computeThreshold: (scores) => {
+                const middle = Math.floor(scores.length / 2);
+                if (scores.length % 2 === 1) {
+                    return { threshold: scores[middle], ranks: [middle + 1] };
+                }
+                return { threshold: (scores[middle - 1] + scores[middle]) / 2, ranks: [middle, middle + 1] };
+            }
+        });
+
+        // Top N scores win (n defaults to half the league, rounded down).
+        // The cut line is halfway between the Nth and (N+1)th scores.
+        // Tie policy 'tie': teams tied across the cut line each record a TIE.
+        this.medianRules.set('top_n', {
+            defaultTiePolicy: 'tie',
+            describe: (ranks) => `Top ${ranks[0]} scores win`,
+            computeThreshold: (scores, options) => {
+                const n = options.n ?? Math.floor(scores.length / 2);
+                if (n < 1 || n >= scores.length) {
+                    throw new Error(`top_n needs 1 ≤ n < ${scores.length}, got ${n}`);
+                }
+                return { threshold: (scores[n - 1] + scores[n]) / 2, ranks: [n, n + 1] };
+            }
+        });
+
+        // Beat the Kth-highest score (k defaults to half the league + 1).
+        // Tie policy 'loss': matching the Kth score is not beating it, so the Kth
+        // team and anyone tied with it LOSE.
+        this.medianRules.set('beat_kth', {
+            defaultTiePolicy: 'loss',
+            describe: (ranks) => `Beat the ${this.ordinal(ranks[0])} ranked score`,
+            computeThreshold: (scores, options) => {
+                const k = options.k ?? Math.floor(scores.length / 2) + 1;
+                if (k < 1 || k > scores.length) {
+                    throw new Error(`beat_kth needs 1 ≤ k ≤ ${scores.length}, got ${k}`);
+                }
+                return { threshold: scores[k - 1], ranks: [k] };
+            }
+        });
+
+        // Name used by earlier configs for the RFFL rule
+        this.medianRules.set('average_middle', this.medianRules.get('average_6th_7th'));
+    }
+
+    /**
+     * Apply league configuration (config/espn-config.json)
+     * week1Settings.medianCalculation is a rule name or { rule, n, k, tiePolicy }
+     */
+    configure(config = {}) {
+        const medianWeeks = config.seasonSettings?.medianWeeks;
+        if (Array.isArray(medianWeeks)) {
+            this.medianWeeks = new Set(medianWeeks.map(Number));
+        }
+        
+        if (config.seasonSettings?.teamCount) {
+            this.teamCount = Number(config.seasonSettings.teamCount);
+        }
+        
+        const calculation = config.week1Settings?.medianCalculation;
+        if (calculation) {
+            const { rule, ...options } = typeof calculation === 'string' ? { rule: calculation } : calculation;
+            this.setRule(rule, options);
+        }
+    }
+
+    /**
+     * Select the median rule used by calculateMedian
+     */
+    setRule(ruleName, options = {}) {
+        if (!this.medianRules.has(ruleName)) {
+            throw new Error(`Unknown median rule "${ruleName}". Available: ${[...this.medianRules.keys()].join(', ')}`);
+        }
+        if (options.tiePolicy && !['tie', 'win', 'loss'].includes(options.tiePolicy)) {
+            throw new Error(`Unknown tie policy "${options.tiePolicy}"`);
+        }
+        
+        this.ruleName = ruleName;
+        this.ruleOptions = options;
+    }
+
+    getTiePolicy() {
+        return this.ruleOptions.tiePolicy || this.medianRules.get(this.ruleName).defaultTiePolicy;
+    }
+
+    /**
+     * Set the scoring period used when no week is passed to calculateMedian
+     */
+    setWeek(week) {
+        this.week = Number(week) || 1;
+    }
+
+    /**
+     * Whether median rules decide results for a given week
+     */
+    isMedianWeek(week = this.week) {
+        return this.medianWeeks.has(Number(week));
     }
 
     /**
      * Calculate median from team scores
      * @param {Array} teamScores - Array of team score objects with 'score' property
+     * @param {number} week - Scoring period (defaults to this.week)
      * @returns {Object} - Median calculation results
      */
-    calculateMedian(teamScores) {
-        if (!teamScores || teamScores.length !== this.teamCount) {
-            throw new Error(`Expected exactly ${this.teamCount} teams, got ${teamScores?.length || 0}`);
-        }
+    calculateMedian(teamScores, week = this.week) {
+        this.validateTeamCount(teamScores);
 
         // Sort teams by score (high to low)
         const sortedTeams = [...teamScores].sort((a, b) => b.score - a.score);
         
-        // Get 6th and 7th place scores (indices 5 and 6)
-        const sixthPlace = sortedTeams[this.medianPositions[0]];
-        const seventhPlace = sortedTeams[this.medianPositions[1]];
-        
-        // Calculate median as average of 6th and 7th
-        const median = this.roundScore((sixthPlace.score + seventhPlace.score) / 2);
+        // Apply the configured rule to find the threshold and the ranks it uses
+        const rule = this.medianRules.get(this.ruleName);
+        const { threshold, ranks } = rule.computeThreshold(sortedTeams.map(t => t.score), this.ruleOptions);
+        const median = this.roundScore(threshold);
+        const tiePolicy = this.getTiePolicy();
+        const referenceScores = ranks.map(rank => sortedTeams[rank - 1].score);
         
         // Calculate results for each team
         const results = sortedTeams.map((team, index) => {
@@ -42,7 +175,7 @@ class MedianCalculator {
             } else if (marginVsMedian < 0) {
                 result = 'LOSS';
             } else {
-                result = 'TIE'; // Exactly at median (rare)
+                result = this.resolveTie(tiePolicy); // Exactly at median (rare)
             }
 
             return {
@@ -50,6 +183,7 @@ class MedianCalculator {
                 rank: index + 1,
                 marginVsMedian,
                 result,
+                h2hResult: this.getH2HResult(team),
                 isAboveMedian: marginVsMedian > 0,
                 isBelowMedian: marginVsMedian < 0,
                 isAtMedian: marginVsMedian === 0
@@ -61,14 +195,57 @@ class MedianCalculator {
 
         return {
             median,
-            sixthPlaceScore: sixthPlace.score,
-            seventhPlaceScore: seventhPlace.score,
+            week: Number(week),
+            isMedianWeek: this.isMedianWeek(week),
+            rule: this.ruleName,
+            ruleDescription: rule.describe(ranks),
+            tiePolicy,
+            referenceRanks: ranks,
+            referenceScores,
+            // Legacy names: the two reference scores (6th & 7th under the RFFL rule)
+            sixthPlaceScore: referenceScores[0],
+            seventhPlaceScore: referenceScores[referenceScores.length - 1],
             teams: results,
             stats,
             calculatedAt: new Date().toISOString()
         };
     }
 
+    resolveTie(tiePolicy) {
+        if (tiePolicy === 'win') return 'WIN';
+        if (tiePolicy === 'loss') return 'LOSS';
+        return 'TIE';
+    }
+
+    validateTeamCount(teamScores) {
+        const count = teamScores?.length || 0;
+        if (this.teamCount && count !== this.teamCount) {
+            throw new Error(`Expected exactly ${this.teamCount} teams, got ${count}`);
+        }
+        if (count < 2) {
+            throw new Error(`Need at least 2 teams to calculate a median, got ${count}`);
+        }
+    }
+
+    ordinal(n) {
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : (suffixes[n % 10] || 'th');
+        return `${n}${suffix}`;
+    }
+
+    /**
+     * Head-to-head result vs the scheduled opponent, when the matchup is known.
+     * Outside median weeks this is the official result; the median is reference only.
+     */
+    getH2HResult(team) {
+        if (typeof team.opponentScore !== 'number') return null;
+
+        const margin = this.roundScore(team.score - team.opponentScore);
+        if (margin > 0) return 'WIN';
+        if (margin < 0) return 'LOSS';
+        return 'TIE';
+    }
+
     /**
      * Calculate median-related statistics
      */
@@ -102,21 +279,14 @@ class MedianCalculator {
      * Determine if a score change would affect the median
      */
     wouldScoreChangeAffectMedian(currentResults, teamCode, newScore) {
-        const currentMedian = currentResults.median;
-        
-        // Create updated team scores
-        const updatedScores = currentResults.teams.map(team => ({
-            ...team,
-            score: team.canonicalCode === teamCode ? newScore : team.score
-        }));
-
         try {
-            const newResults = this.calculateMedian(updatedScores);
+            const simulation = this.simulateScoreChanges(currentResults, { [teamCode]: newScore });
             return {
-                wouldChange: newResults.median !== currentMedian,
-                oldMedian: currentMedian,
-                newMedian: newResults.median,
-                medianDelta: this.roundScore(newResults.median - currentMedian)
+                wouldChange: simulation.newMedian !== simulation.oldMedian,
+                oldMedian: simulation.oldMedian,
+                newMedian: simulation.newMedian,
+                medianDelta: simulation.medianDelta,
+                flips: simulation.flips
             };
         } catch (error) {
             return {
@@ -126,6 +296,82 @@ class MedianCalculator {
         }
     }
 
+    /**
+     * Re-run the median with hypothetical team scores
+     * @param {Object} currentResults - calculateMedian output
+     * @param {Object} scoreOverrides - team code → hypothetical score
+     * @returns {Object} - new results, median delta, WIN/LOSS flips and points needed
+     */
+    simulateScoreChanges(currentResults, scoreOverrides = {}) {
+        const keyOf = (team) => team.canonicalCode || team.team;
+        const byEspnCode = new Map(currentResults.teams.map(team => [team.team, team]));
+        const scoreOf = (team) => scoreOverrides[keyOf(team)] ?? team.score;
+
+        const updatedScores = currentResults.teams.map(team => {
+            const opponent = team.opponent ? byEspnCode.get(team.opponent) : null;
+            return {
+                ...team,
+                score: this.roundScore(scoreOf(team)),
+                opponentScore: opponent ? this.roundScore(scoreOf(opponent)) : team.opponentScore
+            };
+        });
+
+        const results = this.calculateMedian(updatedScores, currentResults.week);
+        const previous = new Map(currentResults.teams.map(team => [keyOf(team), team.result]));
+
+        const flips = results.teams
+            .filter(team => previous.get(keyOf(team)) !== team.result)
+            .map(team => ({ team: keyOf(team), from: previous.get(keyOf(team)), to: team.result }));
+
+        return {
+            results,
+            oldMedian: currentResults.median,
+            newMedian: results.median,
+            medianDelta: this.roundScore(results.median - currentResults.median),
+            flips,
+            pointsNeeded: this.calculatePointsNeeded(results)
+        };
+    }
+
+    /**
+     * Minimum additional points each team needs to clear the median, holding
+     * every other score fixed. The team's own score moves the median too, so
+     * search the lowest winning score rather than using the current margin.
+     */
+    calculatePointsNeeded(results) {
+        const scores = results.teams.map(team => team.score);
+        const ceiling = Math.max(...scores) + 1;
+
+        return results.teams.map((team, index) => {
+            if (team.result === 'WIN') {
+                return { team: team.canonicalCode || team.team, score: team.score, needed: 0, target: team.score };
+            }
+
+            const winsWith = (score) => {
+                const trial = scores.map((s, i) => ({ team: String(i), score: i === index ? score : s }));
+                const trialResults = this.calculateMedian(trial, results.week);
+                return trialResults.teams.find(t => t.team === String(index)).result === 'WIN';
+            };
+
+            // Binary search in hundredths of a point (results are monotonic in own score)
+            let low = Math.round(team.score * 100);
+            let high = Math.round(ceiling * 100);
+            while (low < high) {
+                const mid = Math.floor((low + high) / 2);
+                if (winsWith(mid / 100)) high = mid;
+                else low = mid + 1;
+            }
+
+            const target = low / 100;
+            return {
+                team: team.canonicalCode || team.team,
+                score: team.score,
+                needed: this.roundScore(target - team.score),
+                target
+            };
+        });
+    }
+
     /**
      * Get teams that are close to the median (within a threshold)
      */
@@ -225,9 +471,7 @@ class MedianCalculator {
             throw new Error('Team data must be an array');
         }
 
-        if (teamData.length !== this.teamCount) {
-            throw new Error(`Expected ${this.teamCount} teams, got ${teamData.length}`);
-        }
+        this.validateTeamCount(teamData);
 
         teamData.forEach((team, index) => {
             if (typeof team.score !== 'number' || isNaN(team.score)) {
@@ -268,10 +512,17 @@ class MedianCalculator {
             })),
 
             medianCalculation: {
-                sixthPlace: `${results.teams[5].canonicalCode || results.teams[5].team}: ${results.sixthPlaceScore}`,
-                seventhPlace: `${results.teams[6].canonicalCode || results.teams[6].team}: ${results.seventhPlaceScore}`,
+                rule: results.rule,
+                description: results.ruleDescription,
+                tiePolicy: results.tiePolicy,
+                references: results.referenceRanks.map(rank => {
+                    const team = results.teams[rank - 1];
+                    return `${this.ordinal(rank)} ${team.canonicalCode || team.team}: ${team.score}`;
+                }),
                 median: results.median,
-                formula: `(${results.sixthPlaceScore} + ${results.seventhPlaceScore}) ÷ 2 = ${results.median}`
+                formula: results.referenceScores.length === 2
+                    ? `(${results.referenceScores[0]} + ${results.referenceScores[1]}) ÷ 2 = ${results.median}`
+                    : `${this.ordinal(results.referenceRanks[0])} score = ${results.median}`
             }
         };
     }
@@ -296,6 +547,15 @@ const MedianUtils = {
         return badges[result] || '';
     },
 
+    /**
+     * Get CSS class for a result shown as text (WIN/LOSS/TIE)
+     */
+    getResultClass(result) {
+        if (result === 'WIN') return 'text-green-400';
+        if (result === 'LOSS') return 'text-red-400';
+        return 'text-yellow-400';
+    },
+
     /**
      * Get CSS class for margin vs median display
      */
@@ -323,6 +583,32 @@ const MedianUtils = {
             'TIE': '🟡'
         };
         return icons[result] || '⚪';
+    },
+
+    /**
+     * 32-bit FNV-1a hash of a string, for seeds derived from stable inputs
+     */
+    hashSeed(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    /**
+     * Seeded PRNG (mulberry32) returning floats in [0, 1), so a recorded
+     * seed replays the same coin flips and simulations
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     }
 };
 
@@ -0,0 +1,255 @@
+/**
+ * RFFL Median Notifications
+ * Opt-in system notifications that reach the viewer while the live page is
+ * in the background: the followed team crossing the median, the median
+ * moving more than notifications.medianMoveThreshold points, and the
+ * followed team's result going final.
+ *
+ * NotificationRules turns two refreshes into notifications. MedianNotifier
+ * keeps the viewer's opt-in and sends them through a channel: the browser
+ * (the service worker's showNotification, the same path a push message
+ * takes in sw.js) or LocalPushStandIn, which receives what a push service
+ * would deliver so the rules can be exercised without one.
+ *
+ * Refresh state: { week, median, status } where status is
+ * MyTeamPreference.buildStatus output (null when no team is followed)
+ * Notification: { type: 'flip'|'median'|'final', title, body, tag, team, week, url }
+ */
+
+class NotificationRules {
+    constructor() {
+        this.medianMoveThreshold = 3; // points
+        this.types = new Set(['flip', 'median', 'final']);
+        this.url = 'live-mobile.html';
+    }
+
+    /**
+     * Apply league configuration (config notifications: { medianMoveThreshold, types })
+     */
+    configure(settings = {}) {
+        if (settings.medianMoveThreshold !== undefined) {
+            if (!(settings.medianMoveThreshold > 0)) {
+                throw new Error(`Invalid notifications.medianMoveThreshold "${settings.medianMoveThreshold}"`);
+            }
+            this.medianMoveThreshold = settings.medianMoveThreshold;
+        }
+        if (settings.types) {
+            const unknown = settings.types.filter(type => !['flip', 'median', 'final'].includes(type));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown notification type "${unknown[0]}" (use flip, median or final)`);
+            }
+            this.types = new Set(settings.types);
+        }
+    }
+
+    /**
+     * Notifications between the last refresh and this one. The median is
+     * measured from where it stood at the last median notification, so slow
+     * drift still notifies once it passes the threshold.
+     * @returns {Object} - { notifications, state } where state is compared with the next refresh
+     */
+    evaluate(previous, current) {
+        if (!previous || previous.week !== current.week) {
+            return { notifications: [], state: current };
+        }
+
+        const notifications = window.myTeam.getAlerts(previous.status, current.status)
+            .filter(alert => this.types.has(alert.type))
+            .map(alert => this.fromAlert(alert, current));
+
+        let baseline = previous.median;
+        const moved = window.medianCalculator.roundScore(current.median - previous.median);
+        if (this.types.has('median') && Math.abs(moved) > this.medianMoveThreshold) {
+            notifications.push(this.medianMoved(previous.median, current, moved));
+            baseline = current.median;
+        }
+
+        return { notifications, state: { ...current, median: baseline } };
+    }
+
+    fromAlert(alert, current) {
+        const status = current.status;
+        const title = alert.type === 'final'
+            ? `${status.team} is final`
+            : status.result === 'WIN'
+                ? `${status.team} is above the median`
+                : status.result === 'LOSS' ? `${status.team} dropped below the median` : `${status.team} is level with the median`;
+
+        return this.create(alert.type, title, alert.message, current, status.team);
+    }
+
+    medianMoved(from, current, moved) {
+        const status = current.status;
+        const body = `Week ${current.week} median moved from ${from.toFixed(2)} to ${current.median.toFixed(2)}` +
+            (status ? ` — ${status.team} is ${window.myTeam.formatMargin(status.marginVsMedian)}` : '');
+
+        return this.create('median', `Median ${moved > 0 ? 'up' : 'down'} ${Math.abs(moved).toFixed(2)}`, body, current, null);
+    }
+
+    /**
+     * A flip replaces the team's earlier flip notification (same tag)
+     */
+    create(type, title, body, current, team) {
+        return {
+            type,
+            title,
+            body,
+            tag: `rffl-w${current.week}-${type}${team ? `-${team}` : ''}`,
+            team,
+            week: current.week,
+            url: `${this.url}?week=${current.week}`
+        };
+    }
+}
+
+/**
+ * System notifications through the service worker when it is registered
+ * (they show while the page is in the background), else the page's
+ * Notification API
+ */
+class BrowserNotificationChannel {
+    isSupported() {
+        return typeof Notification !== 'undefined';
+    }
+
+    /**
+     * 'granted' | 'denied' | 'default' | 'unsupported'
+     */
+    async requestPermission() {
+        if (!this.isSupported()) return 'unsupported';
+        if (Notification.permission !== 'default') return Notification.permission;
+        return Notification.requestPermission();
+    }
+
+    async send(notification) {
+        if (!this.isSupported() || Notification.permission !== 'granted') return false;
+
+        const options = {
+            body: notification.body,
+            tag: notification.tag,
+            renotify: true,
+            icon: 'icons/icon.svg',
+            data: { url: notification.url }
+        };
+        const registration = navigator.serviceWorker ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration) {
+            await registration.showNotification(notification.title, options);
+        } else {
+            new Notification(notification.title, options);
+        }
+        return true;
+    }
+}
+
+/**
+ * Local stand-in for a push service: notifications go through the same JSON
+ * payload a push message carries (sw.js 'push') and are kept in `delivered`
+ */
+class LocalPushStandIn {
+    constructor(options = {}) {
+        this.delivered = [];
+        this.onPush = options.onPush || null; // e.g. hand payloads to another channel
+    }
+
+    isSupported() {
+        return true;
+    }
+
+    async requestPermission() {
+        return 'granted';
+    }
+
+    async send(notification) {
+        const payload = JSON.parse(JSON.stringify(notification));
+        this.delivered.push(payload);
+        if (this.onPush) await this.onPush(payload);
+        return true;
+    }
+
+    clear() {
+        this.delivered = [];
+    }
+}
+
+class MedianNotifier {
+    /**
+     * @param {Object} options - { rules, channel, enabled, isForeground } (tests swap the channel
+     *                           for LocalPushStandIn and the foreground check for a stub)
+     */
+    constructor(options = {}) {
+        this.storageKey = 'rffl-notifications';
+        this.rules = options.rules || new NotificationRules();
+        this.channel = options.channel || new BrowserNotificationChannel();
+        this.isForeground = options.isForeground || (() => this.isPageInFocus());
+        this.enabled = options.enabled ?? this.loadPreference();
+        this.state = null; // last refresh, compared with the next
+    }
+
+    configure(config = {}) {
+        this.rules.configure(config.notifications || {});
+    }
+
+    isSupported() {
+        return this.channel.isSupported();
+    }
+
+    loadPreference() {
+        try {
+            return localStorage.getItem(this.storageKey) === 'on';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        try {
+            localStorage.setItem(this.storageKey, enabled ? 'on' : 'off');
+        } catch (error) {
+            console.warn('Notification preference not saved:', error.message);
+        }
+    }
+
+    /**
+     * Opt in; asks the browser for permission first
+     * @returns {string} - the permission ('granted' turns notifications on)
+     */
+    async enable() {
+        const permission = await this.channel.requestPermission();
+        this.setEnabled(permission === 'granted');
+        return permission;
+    }
+
+    disable() {
+        this.setEnabled(false);
+    }
+
+    isPageInFocus() {
+        if (typeof document === 'undefined') return false;
+        return document.visibilityState === 'visible' &&
+            (typeof document.hasFocus !== 'function' || document.hasFocus());
+    }
+
+    /**
+     * Run the rules against this refresh. Notifications are sent only when
+     * opted in and the page is not in focus (toasts cover the foreground).
+     * @param {Object} current - { week, median, status }
+     * @returns {Array} - every notification the rules produced
+     */
+    async update(current) {
+        const { notifications, state } = this.rules.evaluate(this.state, current);
+        this.state = state;
+
+        if (this.enabled && notifications.length > 0 && !this.isForeground()) {
+            await Promise.all(notifications.map(notification =>
+                this.channel.send(notification).catch(error => {
+                    console.warn('Notification not sent:', error.message);
+                    return false;
+                })));
+        }
+        return notifications;
+    }
+}
+
+// Create global instance
+window.medianNotifier = new MedianNotifier();
@@ -12,6 +12,10 @@ class MobileUIController {
         this.isRefreshing = false;
         this.hapticEnabled = this.checkHapticSupport();
         this.lastScoreUpdate = new Map();
+        this.activeSheet = null;
+        this.longPressFired = false; // the click that ends a long press is not a tap
+        this.comparePick = null; // first team swiped for head-to-head
+        this.activeComparison = null; // { sheet, otherCode } while the H2H sheet is open
         
         // Performance monitoring
         this.performanceMetrics = {
@@ -218,6 +222,8 @@ class MobileUIController {
     }
 
     handleCardTap(card) {
+        if (this.longPressFired) return;
+        
         // Haptic feedback
         this.triggerHaptic('light');
         
@@ -237,11 +243,13 @@ class MobileUIController {
         let startX = 0;
         let startY = 0;
         let startTime = 0;
+        let startTarget = null;
         
         document.addEventListener('touchstart', (e) => {
             startX = e.touches[0].clientX;
             startY = e.touches[0].clientY;
             startTime = Date.now();
+            startTarget = e.target;
         }, { passive: true });
         
         document.addEventListener('touchend', (e) => {
@@ -259,9 +267,9 @@ class MobileUIController {
             // Horizontal swipes
             if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > 50) {
                 if (deltaX > 0) {
-                    this.handleSwipeRight();
+                    this.handleSwipeRight(startTarget);
                 } else {
-                    this.handleSwipeLeft();
+                    this.handleSwipeLeft(startTarget);
                 }
             }
             
@@ -276,14 +284,67 @@ class MobileUIController {
         }, { passive: true });
     }
 
-    handleSwipeRight() {
-        // Could implement navigation to previous view
+    handleSwipeRight(target) {
         this.triggerHaptic('light');
+        this.handleHorizontalSwipe(target, -1);
     }
 
-    handleSwipeLeft() {
-        // Could implement navigation to next view
+    handleSwipeLeft(target) {
         this.triggerHaptic('light');
+        this.handleHorizontalSwipe(target, 1);
+    }
+
+    /**
+     * Sideways swipes drive head-to-head: on a card they pick teams to
+     * compare, inside an open comparison they step to the previous or next
+     * opponent in leaderboard order
+     */
+    handleHorizontalSwipe(target, step) {
+        if (!target || typeof target.closest !== 'function') return;
+        
+        if (this.activeComparison && target.closest('.team-sheet')) {
+            this.cycleComparison(step);
+            return;
+        }
+        const card = target.closest('.live-score-card');
+        if (!this.activeSheet && card?.dataset.team) {
+            this.pickForComparison(card.dataset.team, card);
+        }
+    }
+
+    /**
+     * The first swiped team is held; swiping a second one opens the comparison
+     */
+    async pickForComparison(teamCode, card = null) {
+        if (!this.comparePick || this.comparePick === teamCode) {
+            this.comparePick = teamCode;
+            if (card) card.classList.add('ring-2', 'ring-blue-400');
+            this.showToast(`⚖️ ${teamCode} picked — swipe another team to compare`, 'info');
+            return;
+        }
+        
+        const first = this.comparePick;
+        this.comparePick = null;
+        document.querySelectorAll('.live-score-card.ring-blue-400').forEach(el => el.classList.remove('ring-2', 'ring-blue-400'));
+        
+        const sheet = await this.getTeamSheet(first);
+        if (!sheet) {
+            this.showToast(`No live data for ${first}`, 'warning');
+            return;
+        }
+        this.openSheet(this.renderTeamSheet(sheet), this.getSheetHandlers(sheet));
+        await this.showComparison(sheet, teamCode);
+    }
+
+    cycleComparison(step) {
+        const { sheet, otherCode } = this.activeComparison;
+        const codes = (window.liveApp?.currentData || [])
+            .map(team => team.canonicalCode || team.team)
+            .filter(code => code !== sheet.team);
+        if (codes.length === 0) return;
+        
+        const index = codes.indexOf(otherCode);
+        this.showComparison(sheet, codes[(index + step + codes.length) % codes.length]);
     }
 
     handleSwipeDown() {
@@ -304,6 +365,7 @@ class MobileUIController {
         let startPos = { x: 0, y: 0 };
         
         document.addEventListener('touchstart', (e) => {
+            this.longPressFired = false;
             const target = e.target.closest('.live-score-card');
             if (target) {
                 startPos = { x: e.touches[0].clientX, y: e.touches[0].clientY };
@@ -331,6 +393,7 @@ class MobileUIController {
     }
 
     handleLongPress(card) {
+        this.longPressFired = true;
         this.triggerHaptic('medium');
         
         // Show context menu or detailed options
@@ -405,7 +468,10 @@ class MobileUIController {
                 // Determine animation based on score change
                 if (newScore > oldScore) {
                     scoreElement.classList.add('score-animate');
-                    this.triggerHaptic('light');
+                    // With a followed team, only its scoring buzzes
+                    if (!window.myTeam?.get() || window.myTeam.isMine(teamCode)) {
+                        this.triggerHaptic('light');
+                    }
                     
                     // Remove class after animation completes
                     scoreElement.addEventListener('animationend', () => {
@@ -483,14 +549,17 @@ class MobileUIController {
     }
 
     // UI state management
-    showTeamQuickView(teamCode) {
+    async showTeamQuickView(teamCode) {
         // Create and show a quick overlay with team details
-        const quickView = this.createQuickView(teamCode);
+        const sheet = await this.getTeamSheet(teamCode);
+        const quickView = this.createQuickView(teamCode, sheet);
         document.body.appendChild(quickView);
         
         // Animate in
         requestAnimationFrame(() => {
             quickView.classList.add('show');
+            quickView.style.transform = 'translateY(0)';
+            quickView.style.opacity = '1';
         });
         
         // Auto-hide after 3 seconds
@@ -499,23 +568,35 @@ class MobileUIController {
         }, 3000);
     }
 
-    createQuickView(teamCode) {
+    /**
+     * Team sheet from the page's app (LiveMobileApp.getTeamSheet), or null
+     * when the page has no data for the team
+     */
+    async getTeamSheet(teamCode) {
+        const app = window.liveApp;
+        if (!app || typeof app.getTeamSheet !== 'function') return null;
+        
+        try {
+            return await app.getTeamSheet(teamCode);
+        } catch (error) {
+            if (this.debugMode) console.warn('Team sheet unavailable for', teamCode, error);
+            return null;
+        }
+    }
+
+    createQuickView(teamCode, sheet = null) {
         const view = document.createElement('div');
         view.className = 'fixed inset-x-4 top-20 bg-gray-800 rounded-xl p-4 shadow-lg transform translate-y-8 opacity-0 transition-all duration-300 z-50';
         view.innerHTML = `
             <div class="flex justify-between items-center">
-                <h3 class="font-bold text-white">Team ${teamCode} Details</h3>
-                <button class="text-gray-400 hover:text-white" onclick="this.parentElement.parentElement.remove()">✕</button>
+                <h3 class="font-bold text-white">${teamCode}${sheet && sheet.name !== teamCode ? ` · ${sheet.name}` : ''}</h3>
+                <button class="text-gray-400 hover:text-white" data-action="close" aria-label="Close">✕</button>
             </div>
             <div class="mt-2 text-sm text-gray-300">
-                Quick stats and info would go here...
+                ${sheet ? this.renderSheetSummary(sheet) : 'No live data for this team yet.'}
             </div>
         `;
-        
-        // Add show class for animation
-        view.addEventListener('animationend', () => {
-            view.classList.add('show');
-        });
+        view.querySelector('[data-action="close"]').addEventListener('click', () => view.remove());
         
         return view;
     }
@@ -531,10 +612,349 @@ class MobileUIController {
         }, 300);
     }
 
-    showTeamContextMenu(card, teamCode) {
-        // Implementation for context menu
-        // TODO: Implement context menu functionality
-        if (this.debugMode) console.log('Context menu requested for:', teamCode);
+    /**
+     * Score, margin vs. median, projection, starters left to play and the
+     * season record against the median
+     */
+    renderSheetSummary(sheet) {
+        const signed = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+        const marginClass = sheet.marginVsMedian > 0 ? 'text-success-400' : sheet.marginVsMedian < 0 ? 'text-error-400' : 'text-gray-300';
+        const record = window.teamSheet.formatRecord(sheet.seasonRecord);
+        
+        return `
+            <div class="grid grid-cols-2 gap-3">
+                <div>
+                    <div class="text-xs text-gray-400">Score${sheet.rank ? ` · #${sheet.rank} of ${sheet.teamCount}` : ''}</div>
+                    <div class="text-lg font-bold text-white">${sheet.score.toFixed(2)}</div>
+                </div>
+                <div>
+                    <div class="text-xs text-gray-400">vs Median ${sheet.median.toFixed(2)}</div>
+                    <div class="text-lg font-bold ${marginClass}">${signed(sheet.marginVsMedian)} ${sheet.result}</div>
+                </div>
+                <div>
+                    <div class="text-xs text-gray-400">Projection</div>
+                    <div class="font-semibold text-white">${sheet.proj != null ? `${sheet.proj.toFixed(1)} (${signed(sheet.projectedMargin)})` : '—'}</div>
+                </div>
+                <div>
+                    <div class="text-xs text-gray-400">Season vs Median</div>
+                    <div class="font-semibold text-white">${record}${sheet.seasonRecord.provisional ? ' <span class="text-xs text-gray-400">incl. live</span>' : ''}</div>
+                </div>
+            </div>
+            <div class="mt-3 text-xs text-gray-400">
+                ${sheet.isFinal ? '✅ All games final' : sheet.progress.hasGameData
+                    ? `⏳ ${sheet.leftToPlay.length} starter(s) left to play · ${sheet.progress.remainingProj.toFixed(1)} pts projected`
+                    : 'No game data yet'}
+            </div>
+        `;
+    }
+
+    renderStarters(sheet) {
+        if (sheet.starters.length === 0) {
+            return '<p class="text-sm text-gray-400">Roster not available.</p>';
+        }
+        const statuses = window.gameClock.statuses;
+        
+        return `
+            <ul class="divide-y divide-gray-700 text-sm">
+                ${sheet.starters.map(player => `
+                    <li class="flex items-center justify-between py-2">
+                        <div class="min-w-0">
+                            <span class="inline-block w-12 text-xs text-gray-400">${player.slot}</span>
+                            <span class="text-white">${player.name}</span>
+                            <span class="text-xs text-gray-500">${player.nflTeam || ''}</span>
+                        </div>
+                        <div class="text-right whitespace-nowrap">
+                            <span class="font-semibold text-white">${player.score.toFixed(1)}</span>
+                            <span class="text-xs text-gray-400">/ ${player.proj.toFixed(1)}</span>
+                            <div class="text-xs ${player.status === statuses.IN_PROGRESS ? 'text-red-400' : 'text-gray-500'}">${player.gameLabel}</div>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Long-press sheet: the team's details plus pin, compare, share and
+     * history actions
+     */
+    async showTeamContextMenu(card, teamCode) {
+        const sheet = await this.getTeamSheet(teamCode);
+        if (!sheet) {
+            this.showToast('No live data for this team yet', 'warning');
+            return;
+        }
+        this.openSheet(this.renderTeamSheet(sheet), this.getSheetHandlers(sheet));
+    }
+
+    getSheetHandlers(sheet) {
+        return {
+            'my-team': () => this.toggleMyTeam(sheet),
+            pin: () => this.togglePin(sheet),
+            compare: () => this.setSheetContent(this.renderComparePicker(sheet)),
+            'compare-with': (button) => this.showComparison(sheet, button.dataset.team),
+            share: () => this.shareResult(sheet),
+            history: () => this.showHistory(sheet),
+            back: () => this.setSheetContent(this.renderTeamSheet(sheet))
+        };
+    }
+
+    renderTeamSheet(sheet) {
+        const pinned = window.liveApp?.isPinned?.(sheet.team);
+        const mine = window.myTeam?.isMine(sheet.team);
+        
+        return `
+            ${this.renderSheetHeader(sheet.team, sheet.name)}
+            ${this.renderSheetSummary(sheet)}
+            <h4 class="mt-4 mb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">Starters</h4>
+            ${this.renderStarters(sheet)}
+            <div class="grid grid-cols-2 gap-2 mt-4">
+                <button data-action="my-team" class="col-span-2 touch-target px-3 py-2 ${mine ? 'bg-gray-700' : 'bg-yellow-600'} rounded-lg text-sm font-semibold text-white">${mine ? '⭐ Stop following' : '⭐ This is my team'}</button>
+                <button data-action="pin" class="touch-target px-3 py-2 bg-gray-700 rounded-lg text-sm text-white">${pinned ? '📌 Unpin team' : '📌 Pin team'}</button>
+                <button data-action="compare" class="touch-target px-3 py-2 bg-gray-700 rounded-lg text-sm text-white">⚖️ Compare with…</button>
+                <button data-action="share" class="touch-target px-3 py-2 bg-gray-700 rounded-lg text-sm text-white">📤 Share result</button>
+                <button data-action="history" class="touch-target px-3 py-2 bg-gray-700 rounded-lg text-sm text-white">📜 View history</button>
+            </div>
+        `;
+    }
+
+    renderSheetHeader(title, subtitle = null, back = false) {
+        return `
+            <div class="flex justify-between items-center mb-3">
+                <div class="flex items-center gap-2 min-w-0">
+                    ${back ? '<button data-action="back" class="text-gray-400 hover:text-white" aria-label="Back">‹</button>' : ''}
+                    <h3 class="font-bold text-white truncate">${title}${subtitle && subtitle !== title ? ` <span class="text-sm font-normal text-gray-400">${subtitle}</span>` : ''}</h3>
+                </div>
+                <button data-action="close" class="text-gray-400 hover:text-white" aria-label="Close">✕</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Bottom sheet over a dimmed backdrop; buttons carry data-action and run
+     * the matching handler
+     */
+    openSheet(content, handlers = {}) {
+        this.closeSheet();
+        
+        const backdrop = document.createElement('div');
+        backdrop.className = 'fixed inset-0 bg-black/60 z-50 flex items-end';
+        backdrop.innerHTML = `
+            <div class="team-sheet w-full max-h-[85vh] overflow-y-auto bg-gray-800 rounded-t-2xl p-4 safe-area-bottom shadow-lg" role="dialog" aria-modal="true"></div>
+        `;
+        backdrop.addEventListener('click', (e) => {
+            if (e.target === backdrop) {
+                this.closeSheet();
+                return;
+            }
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            if (button.dataset.action === 'close') {
+                this.closeSheet();
+            } else if (handlers[button.dataset.action]) {
+                this.triggerHaptic('light');
+                handlers[button.dataset.action](button);
+            }
+        });
+        
+        document.body.appendChild(backdrop);
+        this.activeSheet = backdrop;
+        this.setSheetContent(content);
+    }
+
+    setSheetContent(content) {
+        this.activeComparison = null;
+        const panel = this.activeSheet?.querySelector('.team-sheet');
+        if (panel) {
+            panel.innerHTML = content;
+            panel.scrollTop = 0;
+        }
+    }
+
+    closeSheet() {
+        if (this.activeSheet?.parentNode) {
+            this.activeSheet.parentNode.removeChild(this.activeSheet);
+        }
+        this.activeSheet = null;
+        this.activeComparison = null;
+    }
+
+    togglePin(sheet) {
+        const app = window.liveApp;
+        if (!app || typeof app.togglePinnedTeam !== 'function') return;
+        
+        const pinned = app.togglePinnedTeam(sheet.team);
+        this.showToast(pinned ? `📌 ${sheet.team} pinned to the top` : `${sheet.team} unpinned`, 'success');
+        this.setSheetContent(this.renderTeamSheet(sheet));
+    }
+
+    toggleMyTeam(sheet) {
+        if (!window.myTeam) return;
+        
+        const following = window.myTeam.isMine(sheet.team);
+        window.myTeam.set(following ? null : sheet.team);
+        window.liveApp?.refreshMyTeam?.();
+        this.showToast(following ? `Stopped following ${sheet.team}` : `⭐ Following ${sheet.team}`, 'success');
+        this.setSheetContent(this.renderTeamSheet(sheet));
+    }
+
+    renderComparePicker(sheet) {
+        const others = (window.liveApp?.currentData || [])
+            .map(team => team.canonicalCode || team.team)
+            .filter(code => code !== sheet.team)
+            .sort();
+        
+        return `
+            ${this.renderSheetHeader(`Compare ${sheet.team} with…`, null, true)}
+            <div class="grid grid-cols-3 gap-2">
+                ${others.map(code => `
+                    <button data-action="compare-with" data-team="${code}" class="touch-target px-2 py-2 bg-gray-700 rounded-lg text-sm font-bold text-white">${code}</button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Head-to-head sheet: headline numbers, bench and optimal-lineup gap,
+     * then starters paired slot by slot (window.teamComparison)
+     */
+    async showComparison(sheet, otherCode) {
+        const [other, h2h] = await Promise.all([
+            this.getTeamSheet(otherCode),
+            window.liveApp?.getComparison?.(sheet.team, otherCode) || null
+        ]);
+        if (!other) {
+            this.showToast(`No live data for ${otherCode}`, 'warning');
+            return;
+        }
+        
+        const comparison = window.teamSheet.compare(sheet, other);
+        const signed = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+        const points = (value) => value != null ? value.toFixed(1) : '—';
+        const rows = [
+            ['Score', team => team.score.toFixed(2)],
+            ['vs Median', team => `${signed(team.marginVsMedian)} ${team.result}`],
+            ['Projection', team => team.proj != null ? team.proj.toFixed(1) : '—'],
+            ['Left to play', team => team.isFinal ? 'Final' : String(team.leftToPlay.length)],
+            ['Season vs Median', team => window.teamSheet.formatRecord(team.seasonRecord)]
+        ];
+        if (h2h) {
+            rows.push(
+                ['Bench pts', (team, side) => points(h2h.teams[side].benchPoints)],
+                ['Left on bench', (team, side) => points(h2h.teams[side].optimalGap)]
+            );
+        }
+        const lead = (leader, diff) => leader ? `${leader} by ${Math.abs(diff).toFixed(1)}` : 'Even';
+        const scoreClass = (diff, side) => diff === 0 ? 'text-white'
+            : (side === 0) === (diff > 0) ? 'text-green-400 font-bold' : 'text-gray-400';
+        const showSlots = h2h && (h2h.teams[0].hasRoster || h2h.teams[1].hasRoster);
+        
+        this.setSheetContent(`
+            ${this.renderSheetHeader(`${sheet.team} vs ${other.team}`, null, true)}
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-xs text-gray-400">
+                        <th class="text-left py-1"></th>
+                        <th class="text-right py-1">${sheet.team}</th>
+                        <th class="text-right py-1">${other.team}</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-700">
+                    ${rows.map(([label, value]) => `
+                        <tr>
+                            <td class="py-2 text-gray-400">${label}</td>
+                            <td class="py-2 text-right text-white">${value(sheet, 0)}</td>
+                            <td class="py-2 text-right text-white">${value(other, 1)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="mt-3 text-xs text-gray-400">
+                Leads now: ${lead(comparison.leader, comparison.scoreDiff)}
+                ${comparison.projDiff !== null ? ` · Projected: ${lead(comparison.projectedLeader, comparison.projDiff)}` : ''}
+            </p>
+            ${showSlots ? `
+                <h4 class="mt-4 mb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">
+                    Starters by slot · ${h2h.slotWins[0]}–${h2h.slotWins[1]}
+                </h4>
+                <ul class="divide-y divide-gray-700 text-sm">
+                    ${h2h.rows.map(row => `
+                        <li class="flex items-center gap-2 py-2">
+                            <span class="flex-1 min-w-0 truncate text-white">${row.a?.name || '—'}</span>
+                            <span class="w-10 text-right ${scoreClass(row.diff, 0)}">${points(row.a?.score)}</span>
+                            <span class="w-10 text-center text-xs text-gray-400">${row.slot}</span>
+                            <span class="w-10 ${scoreClass(row.diff, 1)}">${points(row.b?.score)}</span>
+                            <span class="flex-1 min-w-0 truncate text-right text-white">${row.b?.name || '—'}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            <p class="mt-3 text-center text-xs text-gray-500">Swipe ← → for the next opponent</p>
+        `);
+        this.activeComparison = { sheet, otherCode: other.team };
+    }
+
+    /**
+     * Native share sheet, else copy to the clipboard
+     */
+    async shareResult(sheet) {
+        const text = window.teamSheet.formatShareText(sheet);
+        
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: `RFFL Week ${sheet.week}: ${sheet.team}`, text });
+            } else if (navigator.clipboard) {
+                await navigator.clipboard.writeText(text);
+                this.showToast('Result copied', 'success');
+            } else {
+                this.showToast('Sharing is not supported on this device', 'warning');
+            }
+        } catch (error) {
+            // Dismissing the share sheet rejects with AbortError
+            if (error.name !== 'AbortError') {
+                this.showToast('Could not share result', 'error');
+            }
+        }
+    }
+
+    /**
+     * Franchise lineage: lifetime median record, recent seasons and
+     * ownership changes
+     */
+    showHistory(sheet) {
+        if (!window.franchiseLineage) return;
+        
+        // Sample scores are placeholders, so only real results join the lineage
+        const lineage = window.franchiseLineage.build(sheet.team, {
+            currentResults: window.espnAPI?.lastDataSource !== 'sample' ? window.liveApp?.currentResults : null,
+            season: window.espnAPI?.year
+        });
+        const format = (record) => record.games > 0 ? window.franchiseLineage.formatRecord(record) : '—';
+        const seasons = lineage.seasons.slice(-5).reverse();
+        
+        this.setSheetContent(`
+            ${this.renderSheetHeader(`${sheet.team} history`, lineage.name, true)}
+            <div class="text-sm text-gray-300">
+                Lifetime vs median: <span class="font-bold text-white">${format(lineage.record)}</span>
+                ${lineage.firstSeason ? `<span class="text-xs text-gray-400">since ${lineage.firstSeason}</span>` : ''}
+            </div>
+            ${seasons.length > 0 ? `
+                <ul class="mt-3 divide-y divide-gray-700 text-sm">
+                    ${seasons.map(season => `
+                        <li class="py-2">
+                            <div class="flex justify-between">
+                                <span class="text-white">${season.season} · ${season.name || season.codes.join('/')}</span>
+                                <span class="text-gray-300">${format(season.record)}</span>
+                            </div>
+                            ${season.events.filter(e => e.type !== 'founded').map(e => `
+                                <div class="text-xs text-gray-400">${e.description}</div>
+                            `).join('')}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="mt-3 text-sm text-gray-400">No history on record for this franchise.</p>'}
+        `);
     }
 
     // Refresh functionality
@@ -0,0 +1,167 @@
+/**
+ * RFFL My Team
+ * The franchise the viewer follows: picked on the page (kept in localStorage)
+ * or passed as ?team=CODE. The URL parameter applies to that visit only, so
+ * opening someone else's shared link never replaces the saved choice; picking
+ * a team on the page overrides both.
+ *
+ * buildStatus() is the "you vs median" banner: margin, points still needed
+ * to clear the median, points left to play and win probability.
+ *
+ * Status: { team, score, median, marginVsMedian, result, rank, teamCount, pointsNeeded,
+ *           target, remainingProj, onPace, projectedMargin, winProbability, isFinal }
+ */
+
+class MyTeamPreference {
+    constructor() {
+        this.storageKey = 'rffl-my-team';
+        this.urlParam = 'team';
+        this.selection = undefined; // picked on this page (null = cleared)
+    }
+
+    /**
+     * Followed team code: picked on this page, else ?team=, else the saved choice
+     */
+    get() {
+        if (this.selection !== undefined) return this.selection;
+        return this.getFromUrl() || this.getSaved();
+    }
+
+    /**
+     * 'page' | 'url' | 'saved' | null
+     */
+    getSource() {
+        if (this.selection !== undefined) return this.selection ? 'page' : null;
+        if (this.getFromUrl()) return 'url';
+        return this.getSaved() ? 'saved' : null;
+    }
+
+    getFromUrl() {
+        if (typeof window.location === 'undefined') return null;
+        const code = new URLSearchParams(window.location.search).get(this.urlParam);
+        return code ? code.trim().toUpperCase() : null;
+    }
+
+    getSaved() {
+        try {
+            return localStorage.getItem(this.storageKey) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save the followed team (null clears it)
+     */
+    set(code) {
+        this.selection = code || null;
+        try {
+            if (code) {
+                localStorage.setItem(this.storageKey, code);
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('My team not saved:', error.message);
+        }
+    }
+
+    /**
+     * Whether a team (result object or code) is the followed team
+     */
+    isMine(team) {
+        const code = typeof team === 'string' ? team : team?.canonicalCode || team?.team;
+        return Boolean(code) && code === this.get();
+    }
+
+    findTeam(results, code = this.get()) {
+        if (!code || !results?.teams) return null;
+        return results.teams.find(team => (team.canonicalCode || team.team) === code) || null;
+    }
+
+    /**
+     * "You vs median" for the followed team, or null when it is not in the results
+     * @param {Object} results - MedianCalculator.calculateMedian output
+     * @param {Object} options - { code, odds: the team's WinProbabilityEngine.simulate
+     *                             entry, isFinal }
+     */
+    buildStatus(results, options = {}) {
+        const team = this.findTeam(results, options.code || this.get());
+        if (!team) return null;
+
+        const code = team.canonicalCode || team.team;
+        const needed = window.medianCalculator.calculatePointsNeeded(results).find(entry => entry.team === code);
+        const remainingProj = window.winProbability
+            ? window.winProbability.getRemainingProjection(team)
+            : Math.max(0, (team.proj || 0) - team.score);
+        const odds = options.odds || null;
+        const isFinal = options.isFinal ?? false;
+
+        return {
+            team: code,
+            score: team.score,
+            median: results.median,
+            marginVsMedian: team.marginVsMedian,
+            result: team.result,
+            rank: team.rank ?? null,
+            teamCount: results.teams.length,
+            pointsNeeded: needed?.needed ?? 0,
+            target: needed?.target ?? team.score,
+            remainingProj,
+            onPace: isFinal ? null : remainingProj >= (needed?.needed ?? 0),
+            projectedMargin: team.proj != null ? window.medianCalculator.roundScore(team.proj - results.median) : null,
+            winProbability: odds ? odds.winProbability : null,
+            isFinal
+        };
+    }
+
+    /**
+     * One-line summary, e.g. "PCX needs 12.40 more to clear the median (18.2 projected to come)"
+     */
+    formatHeadline(status) {
+        if (status.isFinal) {
+            return `${status.team} finished ${status.result === 'WIN' ? 'above' : status.result === 'LOSS' ? 'below' : 'level with'} ` +
+                `the median (${this.formatMargin(status.marginVsMedian)})`;
+        }
+        if (status.pointsNeeded > 0) {
+            return `${status.team} needs ${status.pointsNeeded.toFixed(2)} more to clear the median ` +
+                `(${status.remainingProj.toFixed(1)} projected to come)`;
+        }
+        return `${status.team} is ${status.marginVsMedian.toFixed(2)} above the median ` +
+            `with ${status.remainingProj.toFixed(1)} projected to come`;
+    }
+
+    /**
+     * Changes worth telling the viewer about between two refreshes: crossing
+     * the median either way and the result going final
+     * @returns {Array} - [{ type: 'flip'|'final', tone: 'success'|'error'|'info', message }]
+     */
+    getAlerts(previous, current) {
+        if (!previous || !current || previous.team !== current.team) return [];
+        const alerts = [];
+
+        if (previous.result !== current.result) {
+            alerts.push({
+                type: 'flip',
+                tone: current.result === 'WIN' ? 'success' : current.result === 'LOSS' ? 'error' : 'info',
+                message: current.result === 'WIN'
+                    ? `${current.team} moved above the median (${this.formatMargin(current.marginVsMedian)})`
+                    : current.result === 'LOSS'
+                        ? `${current.team} dropped below the median — needs ${current.pointsNeeded.toFixed(2)}`
+                        : `${current.team} is level with the median`
+            });
+        }
+        if (current.isFinal && !previous.isFinal) {
+            alerts.push({ type: 'final', tone: 'info', message: `Final: ${this.formatHeadline(current)}` });
+        }
+
+        return alerts;
+    }
+
+    formatMargin(margin) {
+        return `${margin >= 0 ? '+' : ''}${margin.toFixed(2)}`;
+    }
+}
+
+// Create global instance
+window.myTeam = new MyTeamPreference();
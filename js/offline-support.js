@@ -0,0 +1,110 @@
+/**
+ * RFFL Offline Support
+ * Registers the service worker (sw.js precaches the app shell so pages open
+ * without a network) and brings stale scores back up to date: when a score
+ * fetch fails while offline, a background sync is requested, and the page's
+ * reconnect callbacks run when connectivity returns — via the service
+ * worker's sync event where the browser supports Background Sync, else the
+ * window 'online' event.
+ */
+
+class OfflineSupport {
+    constructor() {
+        this.workerUrl = 'sw.js';
+        this.syncTag = 'rffl-score-sync';
+        this.registration = null;
+        this.reconnectCallbacks = [];
+        this.syncPending = false; // scores are stale and waiting on connectivity
+        this.initialized = false;
+    }
+
+    /**
+     * Register the service worker and listen for reconnects (once per page)
+     */
+    async init() {
+        if (this.initialized || typeof navigator === 'undefined') return this.registration;
+        this.initialized = true;
+
+        if (typeof window.addEventListener === 'function') {
+            window.addEventListener('online', () => this.handleReconnect('online'));
+        }
+        if (!('serviceWorker' in navigator)) return null;
+
+        try {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data?.type === 'sync-scores') this.handleReconnect('sync');
+            });
+            this.registration = await navigator.serviceWorker.register(this.workerUrl);
+        } catch (error) {
+            console.warn('Service worker not registered, no offline shell:', error.message);
+        }
+        return this.registration;
+    }
+
+    /**
+     * Run a callback (e.g. reload scores) when connectivity returns after a
+     * failed fetch
+     */
+    onReconnect(callback) {
+        this.reconnectCallbacks.push(callback);
+    }
+
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * Called when scores could not be fetched. Only offline failures wait
+     * for a sync; while online the page's own refresh timer keeps retrying.
+     * @returns {boolean} - whether a refresh is now pending
+     */
+    requestSync() {
+        if (this.isOnline()) return false;
+
+        this.syncPending = true;
+        if (this.registration?.sync) {
+            this.registration.sync.register(this.syncTag).catch(error => {
+                console.warn('Background sync unavailable, waiting for the online event:', error.message);
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Sync and 'online' can both fire for one reconnect; refresh once
+     */
+    handleReconnect(reason) {
+        if (!this.syncPending) return;
+
+        this.syncPending = false;
+        this.reconnectCallbacks.forEach(callback => {
+            try {
+                callback(reason);
+            } catch (error) {
+                console.warn('Reconnect refresh failed:', error.message);
+            }
+        });
+    }
+
+    /**
+     * What the page should say about where its scores came from, or null
+     * for fresh data
+     * @param {string} source - ESPNDataService.lastDataSource
+     * @param {number} staleSince - ESPNDataService.staleSince
+     * @returns {Object|null} - { tone: 'warning'|'error', message }
+     */
+    getDataStatus(source, staleSince, now = Date.now()) {
+        const reason = this.isOnline() ? 'ESPN unreachable' : 'Offline';
+
+        if (source === 'cache' && staleSince) {
+            return { tone: 'warning', message: `${reason} · ${window.scoreCache.formatStaleSince(staleSince, now)}` };
+        }
+        if (source === 'sample') {
+            return { tone: 'error', message: `${reason} · showing sample scores, not live results` };
+        }
+        return null;
+    }
+}
+
+// Create global instance
+window.offlineSupport = new OfflineSupport();
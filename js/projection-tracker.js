@@ -0,0 +1,316 @@
+/**
+ * RFFL Projection Accuracy Tracker
+ * Records ESPN's projection next to the actual score for every rostered
+ * player once their game is final, and for every team once all of its starters
+ * are final, so accuracy can be reported across the season: mean absolute
+ * error, bias by position (actual minus projected) and which owners
+ * consistently beat their projections. Stored in IndexedDB, with an
+ * in-memory fallback when IndexedDB is unavailable (private browsing, Node).
+ *
+ * Record: { key, kind: 'player'|'team', season, week, team, owners, proj, score,
+ *           playerId, name, pos, slot, starter }  (player fields on player records)
+ */
+
+class ProjectionAccuracyTracker {
+    constructor() {
+        this.dbName = 'rffl-projections';
+        this.storeName = 'records';
+        this.version = 1;
+        this.db = null;
+        this.memory = new Map(); // key → record, when IndexedDB is unavailable
+
+        // Owners beating projections in at least this share of weeks (and
+        // this many weeks) count as consistent
+        this.consistency = { beatRate: 0.6, minWeeks: 3 };
+    }
+
+    /**
+     * Open (and create on first use) the records object store
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (typeof indexedDB === 'undefined') return null;
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                    store.createIndex('season', 'season');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.warn('IndexedDB unavailable, keeping projection records in memory:', error?.message || error);
+            this.db = null;
+        }
+        return this.db;
+    }
+
+    /**
+     * Record a week's finished games; re-recording a week overwrites its
+     * earlier records, so repeated refreshes are safe
+     * @param {Object} results - MedianCalculator.calculateMedian output
+     * @param {Map} rosters - ESPN team code → players (with game states)
+     * @param {Object} meta - { season }
+     * @returns {Object} - { players, teams } counts recorded
+     */
+    async recordWeek(results, rosters, meta = {}) {
+        const records = this.createRecords(results, rosters, meta);
+        if (records.length === 0) return { players: 0, teams: 0 };
+
+        const db = await this.open();
+        if (!db) {
+            records.forEach(record => this.memory.set(record.key, record));
+        } else {
+            await this.transaction('readwrite', store => {
+                records.forEach(record => store.put(record));
+            });
+        }
+
+        return {
+            players: records.filter(r => r.kind === 'player').length,
+            teams: records.filter(r => r.kind === 'team').length
+        };
+    }
+
+    /**
+     * Player records for final games (byes and unknown game states are
+     * skipped) and a team record once every starter is final
+     */
+    createRecords(results, rosters, meta = {}) {
+        const season = meta.season ?? 0;
+        const week = results.week;
+        const statuses = window.gameClock.statuses;
+        const records = [];
+
+        results.teams.forEach(team => {
+            const players = rosters.get(team.team) || [];
+            const code = team.canonicalCode || team.team;
+            const owners = [team.ownerCode1, team.ownerCode2].filter(Boolean);
+            const base = { season, week, team: code, owners: owners.length > 0 ? owners : (team.ownerCodes || []) };
+
+            players.filter(p => p.game?.status === statuses.FINAL).forEach(player => {
+                records.push({
+                    ...base,
+                    key: `${season}-${week}-${code}-${player.playerId ?? player.name}`,
+                    kind: 'player',
+                    playerId: player.playerId ?? null,
+                    name: player.name,
+                    pos: window.rfflData.getPlayerPosition(player),
+                    slot: player.slot,
+                    starter: window.rfflData.isStarterSlot(player.slot),
+                    proj: player.proj || 0,
+                    score: player.score || 0
+                });
+            });
+
+            const starters = players.filter(p => window.rfflData.isStarterSlot(p.slot));
+            const finished = starters.length > 0 &&
+                starters.every(p => p.game?.status === statuses.FINAL || p.game?.status === statuses.NO_GAME);
+            if (finished) {
+                records.push({
+                    ...base,
+                    key: `${season}-${week}-${code}`,
+                    kind: 'team',
+                    proj: this.round(starters.reduce((sum, p) => sum + (p.proj || 0), 0)),
+                    score: this.round(starters.reduce((sum, p) => sum + (p.score || 0), 0))
+                });
+            }
+        });
+
+        return records;
+    }
+
+    /**
+     * Every record for a season
+     */
+    async getRecords(season = 0) {
+        const db = await this.open();
+        if (!db) {
+            return [...this.memory.values()].filter(r => r.season === season);
+        }
+        return this.transaction('readonly', store => store.index('season').getAll(IDBKeyRange.only(season)));
+    }
+
+    /**
+     * Season accuracy report
+     * @returns {Object} - { season, weeks, players: {count, mae, bias}, starters, byPosition,
+     *                       teams, owners, consistentOwners, playerLeaders: {over, under} }
+     */
+    async getReport(season = 0) {
+        return this.buildReport(await this.getRecords(season), season);
+    }
+
+    buildReport(records, season = 0) {
+        const players = records.filter(r => r.kind === 'player');
+        const starters = players.filter(r => r.starter);
+        const teams = records.filter(r => r.kind === 'team');
+
+        const byPosition = this.groupBy(starters, r => r.pos)
+            .map(([pos, group]) => ({ pos, ...this.summarize(group) }))
+            .sort((a, b) => b.bias - a.bias);
+
+        const teamSummaries = this.groupBy(teams, r => r.team)
+            .map(([team, group]) => ({ team, ...this.summarize(group) }))
+            .sort((a, b) => b.bias - a.bias);
+
+        const owners = this.groupBy(teams.flatMap(r => r.owners.map(owner => ({ ...r, owner }))), r => r.owner)
+            .map(([owner, group]) => {
+                const summary = this.summarize(group);
+                return {
+                    owner,
+                    teams: [...new Set(group.map(r => r.team))],
+                    ...summary,
+                    consistent: summary.count >= this.consistency.minWeeks && summary.beatRate >= this.consistency.beatRate
+                };
+            })
+            .sort((a, b) => b.beatRate - a.beatRate || b.bias - a.bias);
+
+        const playerTotals = this.groupBy(starters, r => `${r.playerId ?? r.name}`)
+            .map(([, group]) => ({
+                name: group[0].name,
+                pos: group[0].pos,
+                team: group[group.length - 1].team,
+                ...this.summarize(group),
+                pointsOverProjection: this.round(group.reduce((sum, r) => sum + r.score - r.proj, 0))
+            }))
+            .sort((a, b) => b.pointsOverProjection - a.pointsOverProjection);
+
+        return {
+            season,
+            weeks: [...new Set(records.map(r => r.week))].sort((a, b) => a - b),
+            players: this.summarize(players),
+            starters: this.summarize(starters),
+            byPosition,
+            teams: teamSummaries,
+            owners,
+            consistentOwners: owners.filter(o => o.consistent),
+            playerLeaders: {
+                over: playerTotals.slice(0, 5),
+                under: playerTotals.slice(-5).reverse().filter(p => p.pointsOverProjection < 0)
+            }
+        };
+    }
+
+    /**
+     * count, mean absolute error, bias (mean actual − projected) and how
+     * often the projection was beaten
+     */
+    summarize(records) {
+        const count = records.length;
+        if (count === 0) return { count: 0, mae: null, bias: null, beatRate: null, beat: 0 };
+
+        const beat = records.filter(r => r.score > r.proj).length;
+        return {
+            count,
+            mae: this.round(records.reduce((sum, r) => sum + Math.abs(r.score - r.proj), 0) / count),
+            bias: this.round(records.reduce((sum, r) => sum + r.score - r.proj, 0) / count),
+            beatRate: Math.round((beat / count) * 1000) / 1000,
+            beat
+        };
+    }
+
+    /**
+     * Chart.js data: mean absolute error and bias per starting position
+     */
+    generatePositionChartData(report) {
+        return {
+            labels: report.byPosition.map(p => p.pos),
+            datasets: [
+                {
+                    label: 'Mean Absolute Error',
+                    data: report.byPosition.map(p => p.mae),
+                    backgroundColor: 'rgba(139, 92, 246, 0.6)',
+                    borderColor: '#8b5cf6',
+                    borderWidth: 1
+                },
+                {
+                    label: 'Bias (actual − projected)',
+                    data: report.byPosition.map(p => p.bias),
+                    backgroundColor: report.byPosition.map(p =>
+                        p.bias >= 0 ? 'rgba(16, 185, 129, 0.6)' : 'rgba(239, 68, 68, 0.6)'),
+                    borderWidth: 1
+                }
+            ]
+        };
+    }
+
+    /**
+     * Short lines for the AI recap prompt
+     */
+    getRecapLines(report) {
+        if (!report || report.starters.count === 0) return [];
+
+        const signed = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+        const lines = [
+            `Starters have missed ESPN projections by ${report.starters.mae.toFixed(1)} points on average ` +
+                `(bias ${signed(report.starters.bias)}) over ${report.weeks.length} week(s)`
+        ];
+
+        const positions = report.byPosition.filter(p => p.count >= 3);
+        if (positions.length > 1) {
+            const best = positions[0];
+            const worst = positions[positions.length - 1];
+            lines.push(`Most underprojected position: ${best.pos} (${signed(best.bias)}); most overprojected: ${worst.pos} (${signed(worst.bias)})`);
+        }
+
+        if (report.consistentOwners.length > 0) {
+            lines.push(`Owners consistently beating projections: ${report.consistentOwners
+                .map(o => `${o.owner} (${o.beat} of ${o.count} weeks, ${signed(o.bias)}/wk)`).join(', ')}`);
+        }
+
+        const leader = report.playerLeaders.over[0];
+        if (leader && leader.pointsOverProjection > 0) {
+            lines.push(`Biggest overperformer: ${leader.name} (${leader.pos}, ${leader.team}) ${signed(leader.pointsOverProjection)} vs. projection`);
+        }
+
+        return lines;
+    }
+
+    async clearSeason(season = 0) {
+        const records = await this.getRecords(season);
+        const db = await this.open();
+
+        if (!db) {
+            records.forEach(record => this.memory.delete(record.key));
+        } else {
+            await this.transaction('readwrite', store => {
+                records.forEach(record => store.delete(record.key));
+            });
+        }
+        return records.length;
+    }
+
+    /**
+     * Run one request against the object store and resolve with its result
+     * once the transaction completes
+     */
+    transaction(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    groupBy(records, keyOf) {
+        const groups = new Map();
+        records.forEach(record => {
+            const key = keyOf(record);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(record);
+        });
+        return [...groups.entries()];
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Create global instance
+window.projectionTracker = new ProjectionAccuracyTracker();
@@ -6,38 +6,41 @@
 
 class RFFLDataService {
     constructor() {
-        this.lineupRequirements = {
-            'QB': 1,
-            'RB': 2, 
-            'WR': 2,
-            'TE': 1,
-            'FLEX': 1, // Must be RB/WR/TE
-            'D/ST': 1,
-            'K': 1
-        };
-        
-        this.flexEligiblePositions = new Set(['RB', 'WR', 'TE']);
-        this.starterSlots = new Set(['QB', 'RB', 'WR', 'TE', 'D/ST', 'K', 'FLEX']);
+        // Slot counts and eligibility come from the league's roster format (RosterSettings)
         this.benchSlots = new Set(['Bench', 'IR']);
         
         this.canonicalTeams = new Map();
-        this.aliasMapping = new Map();
+        this.canonicalRows = [];       // Every canonical_teams.csv row, duplicates included
+        this.aliasMapping = new Map(); // alias → [{canonical, startYear, endYear, line}]
+        this.aliasEntries = [];
         this.historicalData = new Map();
         
-        this.init();
+        // Mapping diagnostics (CanonicalMappingValidator)
+        this.activeSeason = 2025;
+        this.loadErrors = [];
+        this.mappingReport = null;
+        this.reportedIssues = new Set();
+        
+        this.ready = this.init();
     }
 
     async init() {
-        try {
-            await Promise.all([
-                this.loadCanonicalTeams(),
-                this.loadAliasMapping(),
-                this.loadHistoricalContext()
-            ]);
+        // Settle both loads so every load error is recorded before validation
+        const failures = (await Promise.allSettled([
+            this.loadCanonicalTeams(),
+            this.loadAliasMapping()
+        ])).filter(result => result.status === 'rejected');
+        
+        if (failures.length === 0) {
             console.log('RFFL data service initialized successfully');
-        } catch (error) {
-            console.warn('RFFL data service initialization incomplete:', error.message);
+        } else {
+            failures.forEach(({ reason }) => console.warn('RFFL data service initialization incomplete:', reason.message));
         }
+        
+        this.validateMapping();
+        
+        // Archive team codes resolve through the alias mapping, so load it last
+        await this.loadHistoricalContext();
     }
 
     /**
@@ -46,29 +49,20 @@ class RFFLDataService {
     async loadCanonicalTeams() {
         try {
             const response = await fetch('./data/canonical_teams.csv');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
             const csvText = await response.text();
             
-            const lines = csvText.trim().split('\n');
-            const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-            
-            lines.slice(1).forEach(line => {
-                if (!line.trim()) return;
-                
-                const values = line.split(',').map(v => v.trim().replace(/"/g, ''));
-                const row = {};
-                headers.forEach((header, index) => {
-                    row[header] = values[index] || '';
-                });
-                
-                // Store by team_code for easy lookup
-                if (row.team_code && row.season_year) {
-                    const key = `${row.season_year}-${row.team_code}`;
-                    this.canonicalTeams.set(key, row);
-                }
+            // Store by season and team_code for easy lookup
+            this.canonicalRows = DataParsers.readCanonicalTeams(csvText);
+            this.canonicalTeams = new Map();
+            this.canonicalRows.forEach(row => {
+                this.canonicalTeams.set(`${row.season_year}-${row.team_code}`, row);
             });
             
+            this.loadErrors = this.loadErrors.filter(e => e.source !== 'canonical_teams.csv');
             console.log(`Loaded ${this.canonicalTeams.size} canonical team records`);
         } catch (error) {
+            this.recordLoadError('canonical_teams.csv', error);
             throw new Error(`Failed to load canonical teams: ${error.message}`);
         }
     }
@@ -79,88 +73,86 @@ class RFFLDataService {
     async loadAliasMapping() {
         try {
             const response = await fetch('./data/alias_mapping.yaml');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
             const yamlText = await response.text();
             
-            // Parse YAML aliases structure
-            const lines = yamlText.split('\n');
-            let currentAlias = null;
-            let currentCanonical = null;
-            let startYear = null;
-            let endYear = null;
-            
-            lines.forEach(line => {
-                const trimmed = line.trim();
-                
-                if (trimmed.startsWith('- alias:')) {
-                    // Save previous mapping if exists
-                    if (currentAlias && currentCanonical) {
-                        this.aliasMapping.set(currentAlias, {
-                            canonical: currentCanonical,
-                            startYear,
-                            endYear
-                        });
-                    }
-                    
-                    currentAlias = trimmed.replace('- alias:', '').trim().replace(/['"]/g, '');
-                    currentCanonical = null;
-                    startYear = null;
-                    endYear = null;
-                } else if (trimmed.startsWith('canonical:') && currentAlias) {
-                    currentCanonical = trimmed.replace('canonical:', '').trim().replace(/['"]/g, '');
-                } else if (trimmed.startsWith('start_year:') && currentAlias) {
-                    startYear = parseInt(trimmed.replace('start_year:', '').trim());
-                } else if (trimmed.startsWith('end_year:') && currentAlias) {
-                    endYear = parseInt(trimmed.replace('end_year:', '').trim());
-                }
+            this.aliasEntries = DataParsers.readAliasMapping(yamlText);
+            this.aliasMapping = new Map();
+            this.aliasEntries.forEach(entry => {
+                if (!this.aliasMapping.has(entry.alias)) this.aliasMapping.set(entry.alias, []);
+                this.aliasMapping.get(entry.alias).push(entry);
             });
             
-            // Save final mapping
-            if (currentAlias && currentCanonical) {
-                this.aliasMapping.set(currentAlias, {
-                    canonical: currentCanonical,
-                    startYear,
-                    endYear
-                });
-            }
-            
-            console.log(`Loaded ${this.aliasMapping.size} alias mappings`);
+            this.loadErrors = this.loadErrors.filter(e => e.source !== 'alias_mapping.yaml');
+            console.log(`Loaded ${this.aliasEntries.length} alias mappings`);
         } catch (error) {
+            this.recordLoadError('alias_mapping.yaml', error);
             throw new Error(`Failed to load alias mapping: ${error.message}`);
         }
     }
 
     /**
-     * Load historical RFFL context (placeholder for future expansion)
+     * Load the historical score archive (RFFLHistoryArchive), falling back to
+     * the published Week 1 summary when no archive is available
      */
     async loadHistoricalContext() {
-        // Placeholder for loading historical Week 1 median data
-        // This could include past years' median values, trends, etc.
-        this.historicalData.set('week1_averages', {
+        this.history = window.rfflHistory || null;
+        const loaded = this.history
+            ? await this.history.load((code, season) => this.resolveCanonicalTeamCode(code, season))
+            : 0;
+        
+        this.historicalData.set('week1_averages', loaded > 0 ? this.history.getSummary(1) : {
             'overall': 97.41, // RFFL Week 1 historical average
             'median_range': { min: 85.2, max: 108.7 },
             'years_tracked': 14
         });
     }
 
+    recordLoadError(source, error) {
+        this.loadErrors = this.loadErrors.filter(e => e.source !== source);
+        this.loadErrors.push({ source, message: error.reason || error.message, line: error.line ?? null });
+    }
+
     /**
      * Resolve canonical team code using alias mapping with year scope
      */
     resolveCanonicalTeamCode(espnTeamCode, year = 2025) {
-        const mapping = this.aliasMapping.get(espnTeamCode);
+        // An alias may map to different teams in different year ranges
+        const mapping = (this.aliasMapping.get(espnTeamCode) || []).find(entry =>
+            (!entry.startYear || year >= entry.startYear) && (!entry.endYear || year <= entry.endYear));
         
-        if (!mapping) {
-            return espnTeamCode; // No mapping found, return original
-        }
+        // No mapping in scope: return original
+        return mapping ? mapping.canonical : espnTeamCode;
+    }
+
+    /**
+     * Cross-check ESPN codes and the mapping files for a season
+     * (CanonicalMappingValidator), logging each new issue once
+     * @returns {Object|null} - the validation report
+     */
+    validateMapping(espnCodes = [], season = this.activeSeason) {
+        if (!window.mappingValidator) return null;
+        
+        this.activeSeason = season;
+        this.mappingReport = window.mappingValidator.validate({
+            season,
+            espnCodes,
+            aliasEntries: this.aliasEntries,
+            canonicalRows: this.canonicalRows,
+            loadErrors: this.loadErrors
+        });
         
-        // Check year bounds if specified
-        if (mapping.startYear && year < mapping.startYear) {
-            return espnTeamCode;
-        }
-        if (mapping.endYear && year > mapping.endYear) {
-            return espnTeamCode;
-        }
+        this.mappingReport.issues
+            .filter(issue => issue.severity !== 'info')
+            .forEach(issue => {
+                const key = `${season}|${issue.type}|${issue.code}|${issue.message}`;
+                if (this.reportedIssues.has(key)) return;
+                this.reportedIssues.add(key);
+                const location = issue.line ? ` (${issue.source}:${issue.line})` : '';
+                console.warn(`Canonical mapping ${issue.severity}: ${issue.message}${location}`);
+            });
         
-        return mapping.canonical;
+        return this.mappingReport;
     }
 
     /**
@@ -190,54 +182,40 @@ class RFFLDataService {
     }
 
     /**
-     * Normalize slot position according to RFFL rules
+     * Normalize slot position according to the league's roster format;
+     * unrecognized slots fall back to the player's position
      */
-    normalizeSlot(slotPosition, position) {
-        const slot = (slotPosition || '').toUpperCase();
-        const pos = (position || '').toUpperCase();
-        
-        // Handle flex variations
-        if (slot === 'RB/WR/TE' || slot === 'FLEX') {
-            return 'FLEX';
-        }
-        
-        // Handle defense variations
-        if (slot === 'DST' || slot === 'D/ST' || slot === 'DEFENSE' || pos === 'DST') {
-            return 'D/ST';
-        }
-        
-        // Handle bench variations
-        if (slot === 'BE' || slot === 'BENCH') {
-            return 'Bench';
-        }
-        
-        if (slot === 'IR') {
-            return 'IR';
-        }
-        
-        // Standard positions
-        if (['QB', 'RB', 'WR', 'TE', 'K'].includes(slot)) {
+    normalizeSlot(slotPosition, position, settings = window.rosterSettings) {
+        const slot = settings.normalizeSlotName(slotPosition);
+        if (slot && settings.isKnownSlot(slot)) {
             return slot;
         }
         
-        // Fallback to position
-        if (['QB', 'RB', 'WR', 'TE', 'K'].includes(pos)) {
+        const pos = settings.normalizeSlotName(position);
+        if (pos && settings.isKnownSlot(pos) && !settings.benchSlots.has(pos)) {
             return pos;
         }
         
-        if (pos === 'D/ST' || pos === 'DST') {
-            return 'D/ST';
-        }
-        
-        return slot || pos || 'Bench';
+        return slot || 'Bench';
+    }
+
+    /**
+     * Lineup slots that score (anything not on the bench or IR)
+     */
+    isStarterSlot(slot) {
+        return Boolean(slot) && !this.benchSlots.has(slot);
     }
 
     /**
-     * Validate RFFL lineup compliance
+     * Validate a lineup against the league's roster format: slot counts,
+     * position eligibility, bench/IR capacity and duplicate starters
+     * @param {Object} options - { settings } (RosterSettings; defaults to window.rosterSettings)
      */
-    validateLineup(players) {
+    validateLineup(players, options = {}) {
+        const settings = options.settings || window.rosterSettings;
+        const requirements = settings.getRequirements();
         const issues = [];
-        const starters = players.filter(p => this.starterSlots.has(p.slot));
+        const starters = players.filter(p => this.isStarterSlot(p.slot));
         
         // Count starters by slot
         const slotCounts = {};
@@ -245,29 +223,48 @@ class RFFLDataService {
             slotCounts[player.slot] = (slotCounts[player.slot] || 0) + 1;
         });
         
-        // Check required counts
-        Object.entries(this.lineupRequirements).forEach(([slot, required]) => {
+        // Check required counts, including starters in slots this format doesn't have
+        new Set([...Object.keys(requirements), ...Object.keys(slotCounts)]).forEach(slot => {
+            const required = requirements[slot] || 0;
             const actual = slotCounts[slot] || 0;
             if (actual !== required) {
                 issues.push({
-                    type: 'count_mismatch',
+                    type: required === 0 ? 'unknown_slot' : 'count_mismatch',
                     slot,
                     required,
                     actual,
-                    description: `Expected ${required} ${slot}, found ${actual}`
+                    description: required === 0
+                        ? `${actual} player(s) in ${slot}, which this league doesn't use`
+                        : `Expected ${required} ${slot}, found ${actual}`
                 });
             }
         });
         
-        // Check FLEX eligibility
-        const flexPlayers = starters.filter(p => p.slot === 'FLEX');
-        flexPlayers.forEach(player => {
-            if (!this.flexEligiblePositions.has(player.position)) {
+        // Check position eligibility (FLEX, superflex and IDP slots included)
+        starters.filter(p => requirements[p.slot]).forEach(player => {
+            const position = this.getPlayerPosition(player);
+            if (settings.isEligible(position, player.slot)) return;
+            
+            const eligible = settings.getSlotEligibility(player.slot);
+            issues.push({
+                type: player.slot === 'FLEX' ? 'invalid_flex' : 'invalid_position',
+                slot: player.slot,
+                player: player.name,
+                position,
+                description: `${player.slot} player ${player.name} (${position}) must be ${[...eligible].join('/')}`
+            });
+        });
+        
+        // Check bench and IR capacity
+        [['Bench', settings.getBenchSize(), 'bench_overflow'], ['IR', settings.getIRSize(), 'ir_overflow']].forEach(([slot, allowed, type]) => {
+            const actual = players.filter(p => p.slot === slot).length;
+            if (actual > allowed) {
                 issues.push({
-                    type: 'invalid_flex',
-                    player: player.name,
-                    position: player.position,
-                    description: `FLEX player ${player.name} (${player.position}) must be RB/WR/TE`
+                    type,
+                    slot,
+                    allowed,
+                    actual,
+                    description: `${actual} players on ${slot}, league allows ${allowed}`
                 });
             }
         });
@@ -287,7 +284,7 @@ class RFFLDataService {
             isValid: issues.length === 0,
             issues,
             starterCount: starters.length,
-            expectedStarters: Object.values(this.lineupRequirements).reduce((sum, count) => sum + count, 0)
+            expectedStarters: settings.getStarterCount()
         };
     }
 
@@ -299,92 +296,242 @@ class RFFLDataService {
     }
 
     /**
-     * Calculate optimal lineup from available players
+     * Player position, accepting ESPN client (pos) and legacy (position) fields
      */
-    calculateOptimalLineup(allPlayers) {
-        if (!allPlayers || allPlayers.length === 0) {
-            return { players: [], totalScore: 0 };
+    getPlayerPosition(player) {
+        const position = (player.pos || player.position || '').toUpperCase();
+        return position === 'DST' ? 'D/ST' : position;
+    }
+
+    /**
+     * Highest-scoring legal lineup from a roster: an exact assignment of
+     * players to slot instances (Hungarian algorithm), so combo and FLEX
+     * slots are filled globally rather than greedily. Bench players are
+     * candidates; IR players are not unless options.includeIR is set. A slot
+     * with no eligible non-negative scorer is left empty.
+     * @param {Array} allPlayers - roster (any slots)
+     * @param {Object} options - { settings (RosterSettings), requirements (slot → count,
+     *                             defaults to the settings' slots), includeIR, scoreField }
+     * @returns {Object} - { players (with optimalSlot), totalScore, slots: [{slot, player}], emptySlots }
+     */
+    calculateOptimalLineup(allPlayers, options = {}) {
+        const settings = options.settings || window.rosterSettings;
+        const requirements = options.requirements || settings.getRequirements();
+        const scoreField = options.scoreField || 'score';
+        const slots = Object.entries(requirements).flatMap(([slot, count]) => Array(count).fill(slot));
+        const candidates = (allPlayers || []).filter(p => options.includeIR || p.slot !== 'IR');
+        
+        if (slots.length === 0 || candidates.length === 0) {
+            return { players: [], totalScore: 0, slots: slots.map(slot => ({ slot, player: null })), emptySlots: slots };
         }
         
-        const playersByPosition = {};
-        allPlayers.forEach(player => {
-            const pos = player.position;
-            if (!playersByPosition[pos]) {
-                playersByPosition[pos] = [];
-            }
-            playersByPosition[pos].push(player);
-        });
-        
-        // Sort players by score within each position
-        Object.values(playersByPosition).forEach(players => {
-            players.sort((a, b) => b.score - a.score);
+        // Costs in hundredths of a point (scaled so that, among equal totals,
+        // keeping players in their current slots wins); one "empty"
+        // column per slot scores 0, so every slot can always be assigned
+        const FORBIDDEN = 1e12;
+        const cost = slots.map(slot => {
+            const eligible = settings.getSlotEligibility(slot);
+            return [
+                ...candidates.map(player => eligible.has(this.getPlayerPosition(player))
+                    ? -(Math.round((player[scoreField] || 0) * 100) * 1000 + (player.slot === slot ? 1 : 0))
+                    : FORBIDDEN),
+                ...slots.map(() => 0)
+            ];
         });
         
-        const optimalLineup = [];
-        const usedPlayers = new Set();
+        const assignment = this.solveAssignment(cost);
+        const filled = slots.map((slot, i) => ({
+            slot,
+            player: assignment[i] < candidates.length ? candidates[assignment[i]] : null
+        }));
+        const players = filled.filter(f => f.player).map(f => ({ ...f.player, optimalSlot: f.slot }));
         
-        // Fill required positions first
-        ['QB', 'TE', 'D/ST', 'K'].forEach(pos => {
-            if (playersByPosition[pos] && playersByPosition[pos].length > 0) {
-                const player = playersByPosition[pos][0];
-                optimalLineup.push({...player, optimalSlot: pos});
-                usedPlayers.add(player.name);
-            }
-        });
-        
-        // Fill RB positions (need 2)
-        const availableRBs = (playersByPosition['RB'] || []).filter(p => !usedPlayers.has(p.name));
-        for (let i = 0; i < Math.min(2, availableRBs.length); i++) {
-            optimalLineup.push({...availableRBs[i], optimalSlot: 'RB'});
-            usedPlayers.add(availableRBs[i].name);
+        return {
+            players,
+            totalScore: this.applyRFFLRounding(players.reduce((sum, p) => sum + (p[scoreField] || 0), 0)),
+            slots: filled,
+            emptySlots: filled.filter(f => !f.player).map(f => f.slot)
+        };
+    }
+
+    /**
+     * Minimum-cost assignment of every row to a distinct column
+     * (Hungarian algorithm, O(rows² × columns); rows ≤ columns)
+     * @returns {Array} - column index for each row
+     */
+    solveAssignment(cost) {
+        const n = cost.length;
+        const m = cost[0].length;
+        const u = new Array(n + 1).fill(0);
+        const v = new Array(m + 1).fill(0);
+        const match = new Array(m + 1).fill(0); // column → row (1-based, 0 = free)
+        const way = new Array(m + 1).fill(0);
+        
+        for (let row = 1; row <= n; row++) {
+            match[0] = row;
+            let column = 0;
+            const minCost = new Array(m + 1).fill(Infinity);
+            const used = new Array(m + 1).fill(false);
+            
+            do {
+                used[column] = true;
+                const current = match[column];
+                let delta = Infinity;
+                let next = 0;
+                
+                for (let j = 1; j <= m; j++) {
+                    if (used[j]) continue;
+                    const reduced = cost[current - 1][j - 1] - u[current] - v[j];
+                    if (reduced < minCost[j]) {
+                        minCost[j] = reduced;
+                        way[j] = column;
+                    }
+                    if (minCost[j] < delta) {
+                        delta = minCost[j];
+                        next = j;
+                    }
+                }
+                for (let j = 0; j <= m; j++) {
+                    if (used[j]) {
+                        u[match[j]] += delta;
+                        v[j] -= delta;
+                    } else {
+                        minCost[j] -= delta;
+                    }
+                }
+                column = next;
+            } while (match[column] !== 0);
+            
+            do {
+                const previous = way[column];
+                match[column] = match[previous];
+                column = previous;
+            } while (column !== 0);
         }
         
-        // Fill WR positions (need 2)
-        const availableWRs = (playersByPosition['WR'] || []).filter(p => !usedPlayers.has(p.name));
-        for (let i = 0; i < Math.min(2, availableWRs.length); i++) {
-            optimalLineup.push({...availableWRs[i], optimalSlot: 'WR'});
-            usedPlayers.add(availableWRs[i].name);
+        const assignment = new Array(n);
+        for (let j = 1; j <= m; j++) {
+            if (match[j] !== 0) assignment[match[j] - 1] = j - 1;
         }
+        return assignment;
+    }
+
+    /**
+     * Actual vs. optimal lineup for one roster
+     * @returns {Object} - { actualScore, optimalScore, pointsLeftOnBench, benchPoints,
+     *                       efficiency, moves: {in, out}, optimal }
+     */
+    analyzeBenchEfficiency(players, options = {}) {
+        const starters = players.filter(p => this.isStarterSlot(p.slot));
+        const bench = players.filter(p => p.slot === 'Bench');
+        const optimal = this.calculateOptimalLineup(players, options);
         
-        // Fill FLEX with best remaining RB/WR/TE
-        const flexCandidates = [
-            ...availableRBs.filter(p => !usedPlayers.has(p.name)),
-            ...availableWRs.filter(p => !usedPlayers.has(p.name)),
-            ...(playersByPosition['TE'] || []).filter(p => !usedPlayers.has(p.name))
-        ].sort((a, b) => b.score - a.score);
+        const actualScore = this.applyRFFLRounding(starters.reduce((sum, p) => sum + p.score, 0));
+        const optimalNames = new Set(optimal.players.map(p => p.playerId ?? p.name));
+        const starterNames = new Set(starters.map(p => p.playerId ?? p.name));
         
-        if (flexCandidates.length > 0) {
-            optimalLineup.push({...flexCandidates[0], optimalSlot: 'FLEX'});
-        }
+        return {
+            actualScore,
+            optimalScore: optimal.totalScore,
+            pointsLeftOnBench: this.applyRFFLRounding(Math.max(0, optimal.totalScore - actualScore)),
+            benchPoints: this.applyRFFLRounding(bench.reduce((sum, p) => sum + p.score, 0)),
+            efficiency: optimal.totalScore > 0 ? Math.round((actualScore / optimal.totalScore) * 1000) / 10 : null,
+            moves: {
+                in: optimal.players.filter(p => !starterNames.has(p.playerId ?? p.name)),
+                out: starters.filter(p => !optimalNames.has(p.playerId ?? p.name))
+            },
+            optimal
+        };
+    }
+
+    /**
+     * League bench report: each team's points left on bench and whether its
+     * optimal lineup would have flipped its median result (the median is
+     * recomputed with only that team's score raised; tiebreakers not applied)
+     * @param {Object} results - MedianCalculator.calculateMedian output
+     * @param {Map} rosters - ESPN team code → players
+     * @returns {Object} - { week, teams, totalLeftOnBench, flips }
+     */
+    buildBenchReport(results, rosters) {
+        const keyOf = (team) => team.canonicalCode || team.team;
         
-        const totalScore = optimalLineup.reduce((sum, player) => sum + player.score, 0);
+        const teams = results.teams.map(team => {
+            const players = rosters.get(team.team);
+            if (!players || players.length === 0) {
+                return { team: keyOf(team), score: team.score, result: team.result, available: false };
+            }
+            
+            const analysis = this.analyzeBenchEfficiency(players);
+            const optimalTeamScore = this.applyRFFLRounding(team.score + analysis.pointsLeftOnBench);
+            const simulation = analysis.pointsLeftOnBench > 0
+                ? window.medianCalculator.simulateScoreChanges(results, { [keyOf(team)]: optimalTeamScore })
+                : null;
+            const optimalResult = simulation
+                ? simulation.results.teams.find(t => keyOf(t) === keyOf(team)).result
+                : team.result;
+            
+            return {
+                team: keyOf(team),
+                available: true,
+                score: team.score,
+                result: team.result,
+                ...analysis,
+                optimalTeamScore,
+                optimalMedian: simulation ? simulation.newMedian : results.median,
+                optimalResult,
+                wouldFlip: optimalResult !== team.result
+            };
+        }).sort((a, b) => (b.pointsLeftOnBench ?? -1) - (a.pointsLeftOnBench ?? -1));
         
+        const analyzed = teams.filter(t => t.available);
         return {
-            players: optimalLineup,
-            totalScore: this.applyRFFLRounding(totalScore)
+            week: results.week,
+            teams,
+            totalLeftOnBench: this.applyRFFLRounding(analyzed.reduce((sum, t) => sum + t.pointsLeftOnBench, 0)),
+            flips: analyzed.filter(t => t.wouldFlip).map(t => ({ team: t.team, from: t.result, to: t.optimalResult }))
         };
     }
 
     /**
-     * Get historical context for Week 1 performance
+     * Historical context for a score: percentile rank among every archived
+     * score for the week, margin from the historical average and, given a
+     * team code, that franchise's history. Seasons from `season` onward are
+     * excluded so the current year isn't compared with itself.
+     * @param {number} currentScore
+     * @param {Object} options - { week, season, teamCode }
      */
-    getHistoricalContext(currentScore) {
-        const historical = this.historicalData.get('week1_averages');
+    getHistoricalContext(currentScore, options = {}) {
+        const { week = 1, season = null, teamCode = null } = options;
+        const archive = this.history?.hasData() ? this.history : null;
+        const historical = archive
+            ? archive.getSummary(week, season)
+            : week === 1 ? this.historicalData.get('week1_averages') : null;
         if (!historical) return null;
         
-        const percentileRank = currentScore > historical.overall ? 'above' : 'below';
         const marginFromAverage = Math.abs(currentScore - historical.overall);
         
         return {
-            averageWeek1Score: historical.overall,
-            percentileRank,
+            week,
+            averageScore: historical.overall,
+            percentileRank: archive ? archive.getPercentileRank(currentScore, week, season) : null,
             marginFromAverage: this.applyRFFLRounding(marginFromAverage),
             isAboveAverage: currentScore > historical.overall,
             yearsTracked: historical.years_tracked,
-            range: historical.median_range
+            range: historical.median_range,
+            franchise: archive && teamCode ? archive.getFranchiseHistory(teamCode, week, season) : null,
+            source: archive ? 'archive' : 'summary'
         };
     }
 
+    /**
+     * Where this week's median ranks among every prior season's median
+     * @returns {Object|null} - RFFLHistoryArchive.rankMedian output
+     */
+    getMedianHistoryRank(median, week = 1, season = 2025) {
+        if (!this.history?.hasData()) return null;
+        return this.history.rankMedian(median, week, season);
+    }
+
     /**
      * Format team display information
      */
@@ -407,12 +554,18 @@ class RFFLDataService {
     /**
      * Enrich team data with RFFL context
      */
-    enrichTeamData(rawTeamData, year = 2025) {
+    enrichTeamData(rawTeamData, year = 2025, week = 1) {
+        this.validateMapping(rawTeamData.map(team => team.team), year);
+        
         return rawTeamData.map(team => {
             const canonicalCode = this.resolveCanonicalTeamCode(team.team, year);
             const canonicalInfo = this.getCanonicalTeamInfo(canonicalCode, year);
             const displayInfo = this.formatTeamDisplay({ canonicalCode });
-            const historicalContext = this.getHistoricalContext(team.score);
+            const historicalContext = this.getHistoricalContext(team.score, {
+                week,
+                season: year,
+                teamCode: canonicalCode
+            });
             
             return {
                 ...team,
@@ -471,18 +624,23 @@ const RFFLUtils = {
     },
 
     /**
-     * Generate lineup summary
+     * Generate lineup summary (bench includes IR); openSlots counts starting
+     * slots the league's roster format leaves unfilled
      */
-    summarizeLineup(players) {
-        const starters = players.filter(p => window.rfflData.starterSlots.has(p.slot));
+    summarizeLineup(players, settings = window.rosterSettings) {
+        const starters = players.filter(p => window.rfflData.isStarterSlot(p.slot));
         const bench = players.filter(p => window.rfflData.benchSlots.has(p.slot));
         
         const starterScore = starters.reduce((sum, p) => sum + p.score, 0);
         const benchScore = bench.reduce((sum, p) => sum + p.score, 0);
+        const expectedStarters = settings.getStarterCount();
         
         return {
             starterCount: starters.length,
+            expectedStarters,
+            openSlots: Math.max(0, expectedStarters - starters.length),
             benchCount: bench.length,
+            irCount: bench.filter(p => p.slot === 'IR').length,
             starterScore: window.rfflData.applyRFFLRounding(starterScore),
             benchScore: window.rfflData.applyRFFLRounding(benchScore),
             totalScore: window.rfflData.applyRFFLRounding(starterScore + benchScore)
@@ -0,0 +1,253 @@
+/**
+ * RFFL Historical Archive
+ * Loads past seasons' weekly team scores (CSV or JSON, keyed by canonical
+ * team code) and answers historical questions: percentile ranks, all-time
+ * weekly records, per-franchise history and where a median ranks among
+ * every prior season's median for the same week.
+ *
+ * Archive rows: season, week, team_code, score
+ *   CSV  - header row with those columns (year/team/points also accepted)
+ *   JSON - an array of row objects, or { "scores": [...] }
+ */
+
+class RFFLHistoryArchive {
+    constructor() {
+        // Tried in order; the CLI project's weekly export is symlinked/copied here
+        this.sources = ['./data/history/weekly_scores.csv', './data/history/weekly_scores.json'];
+        this.records = [];
+        this.byWeek = new Map();   // week → records across all seasons
+        this.byTeam = new Map();   // canonical code → records
+        this.source = null;
+
+        this.columnAliases = {
+            season: ['season', 'season_year', 'year'],
+            week: ['week', 'scoring_period', 'matchup_period'],
+            team: ['team_code', 'canonical_code', 'team'],
+            score: ['score', 'points', 'points_for']
+        };
+    }
+
+    /**
+     * Load the first archive source that exists
+     * @param {Function} resolveCode - (code, season) → canonical code, for archives keyed by old aliases
+     * @returns {number} - records loaded
+     */
+    async load(resolveCode = (code) => code) {
+        for (const source of this.sources) {
+            try {
+                const response = await fetch(source);
+                if (!response.ok) continue;
+
+                const text = await response.text();
+                const format = source.endsWith('.json') ? 'json' : 'csv';
+                this.loadFromText(text, format, resolveCode, source);
+                this.source = source;
+                console.log(`Loaded ${this.records.length} historical scores from ${source}`);
+                return this.records.length;
+            } catch (error) {
+                console.warn(`Historical archive ${source} unavailable:`, error.message);
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Parse and index archive text, replacing any loaded records
+     * @throws {DataParseError} - malformed CSV, with the offending line
+     */
+    loadFromText(text, format = 'csv', resolveCode = (code) => code, source = 'weekly_scores.csv') {
+        const rows = format === 'json'
+            ? this.parseJSON(text)
+            : DataParsers.parseCSV(text, { source, lowercaseHeaders: true });
+
+        this.records = rows
+            .map(row => this.normalizeRow(row, resolveCode))
+            .filter(Boolean);
+        this.buildIndexes();
+        return this.records.length;
+    }
+
+    parseJSON(text) {
+        const data = JSON.parse(text);
+        const rows = Array.isArray(data) ? data : data.scores;
+        if (!Array.isArray(rows)) {
+            throw new Error('Historical archive JSON must be an array or { "scores": [...] }');
+        }
+        return rows;
+    }
+
+    normalizeRow(row, resolveCode) {
+        const pick = (field) => {
+            const key = this.columnAliases[field].find(name => row[name] !== undefined && row[name] !== '');
+            return key ? row[key] : undefined;
+        };
+
+        const season = parseInt(pick('season'), 10);
+        const week = parseInt(pick('week'), 10);
+        const code = String(pick('team') ?? '').trim();
+        const score = parseFloat(pick('score'));
+        if (!season || !week || !code || Number.isNaN(score)) return null;
+
+        return { season, week, team: resolveCode(code, season), score: this.round(score) };
+    }
+
+    buildIndexes() {
+        this.byWeek.clear();
+        this.byTeam.clear();
+
+        this.records.forEach(record => {
+            if (!this.byWeek.has(record.week)) this.byWeek.set(record.week, []);
+            if (!this.byTeam.has(record.team)) this.byTeam.set(record.team, []);
+            this.byWeek.get(record.week).push(record);
+            this.byTeam.get(record.team).push(record);
+        });
+    }
+
+    hasData() {
+        return this.records.length > 0;
+    }
+
+    /**
+     * Records for one week, optionally limited to seasons before `beforeSeason`
+     */
+    getWeekRecords(week, beforeSeason = null) {
+        return (this.byWeek.get(week) || []).filter(r => beforeSeason === null || r.season < beforeSeason);
+    }
+
+    getSeasons(week = null, beforeSeason = null) {
+        const records = week === null ? this.records : this.getWeekRecords(week, beforeSeason);
+        return [...new Set(records.map(r => r.season))].sort((a, b) => a - b);
+    }
+
+    /**
+     * Percentile rank (0-100) of a score among every archived score for the
+     * week; ties count half, so the middle of the pack is 50
+     */
+    getPercentileRank(score, week = 1, beforeSeason = null) {
+        const scores = this.getWeekRecords(week, beforeSeason).map(r => r.score);
+        if (scores.length === 0) return null;
+
+        const below = scores.filter(s => s < score).length;
+        const equal = scores.filter(s => s === score).length;
+        return this.round(((below + equal / 2) / scores.length) * 100);
+    }
+
+    /**
+     * League median for each archived season's week (even league sizes use
+     * the average of the middle two, matching the 6th/7th rule for 12 teams)
+     * @returns {Array} - [{season, median, teams}] oldest first
+     */
+    getSeasonMedians(week = 1, beforeSeason = null) {
+        return this.getSeasons(week, beforeSeason).map(season => {
+            const scores = this.getWeekRecords(week)
+                .filter(r => r.season === season)
+                .map(r => r.score)
+                .sort((a, b) => b - a);
+            return { season, median: this.median(scores), teams: scores.length };
+        });
+    }
+
+    /**
+     * Where a median ranks against every prior season's median for the week
+     * @returns {Object} - { rank, of, percentile, highest, lowest, priorMedians }
+     */
+    rankMedian(median, week = 1, season = null) {
+        const prior = this.getSeasonMedians(week, season);
+        if (prior.length === 0) return null;
+
+        const sorted = prior.slice().sort((a, b) => b.median - a.median);
+        const rank = sorted.filter(m => m.median > median).length + 1;
+        return {
+            rank,
+            of: prior.length + 1,
+            percentile: this.round((prior.filter(m => m.median < median).length / prior.length) * 100),
+            highest: sorted[0],
+            lowest: sorted[sorted.length - 1],
+            priorMedians: prior
+        };
+    }
+
+    /**
+     * All-time highs, lows and averages for a week
+     */
+    getAllTimeRecords(week = 1, beforeSeason = null, limit = 5) {
+        const records = this.getWeekRecords(week, beforeSeason);
+        if (records.length === 0) return null;
+
+        const sorted = records.slice().sort((a, b) => b.score - a.score);
+        const medians = this.getSeasonMedians(week, beforeSeason).slice().sort((a, b) => b.median - a.median);
+        return {
+            week,
+            seasonsTracked: medians.length,
+            averageScore: this.round(records.reduce((sum, r) => sum + r.score, 0) / records.length),
+            highestScores: sorted.slice(0, limit),
+            lowestScores: sorted.slice(-limit).reverse(),
+            highestMedian: medians[0],
+            lowestMedian: medians[medians.length - 1]
+        };
+    }
+
+    /**
+     * One franchise's history for a week: each season's score, league rank
+     * and result against that season's median
+     */
+    getFranchiseHistory(teamCode, week = 1, beforeSeason = null) {
+        const medians = new Map(this.getSeasonMedians(week, beforeSeason).map(m => [m.season, m.median]));
+        const seasons = (this.byTeam.get(teamCode) || [])
+            .filter(r => r.week === week && medians.has(r.season))
+            .sort((a, b) => a.season - b.season)
+            .map(record => {
+                const field = this.getWeekRecords(week).filter(r => r.season === record.season);
+                const median = medians.get(record.season);
+                return {
+                    season: record.season,
+                    score: record.score,
+                    rank: field.filter(r => r.score > record.score).length + 1,
+                    teams: field.length,
+                    median,
+                    result: record.score > median ? 'WIN' : record.score < median ? 'LOSS' : 'TIE'
+                };
+            });
+
+        if (seasons.length === 0) return null;
+        const scores = seasons.map(s => s.score);
+        return {
+            team: teamCode,
+            week,
+            seasons,
+            averageScore: this.round(scores.reduce((sum, s) => sum + s, 0) / scores.length),
+            bestScore: Math.max(...scores),
+            worstScore: Math.min(...scores),
+            wins: seasons.filter(s => s.result === 'WIN').length,
+            losses: seasons.filter(s => s.result === 'LOSS').length
+        };
+    }
+
+    /**
+     * Summary used in place of the old hard-coded week1_averages
+     */
+    getSummary(week = 1, beforeSeason = null) {
+        const records = this.getAllTimeRecords(week, beforeSeason);
+        if (!records) return null;
+        return {
+            overall: records.averageScore,
+            median_range: { min: records.lowestMedian.median, max: records.highestMedian.median },
+            years_tracked: records.seasonsTracked
+        };
+    }
+
+    median(sortedScores) {
+        if (sortedScores.length === 0) return null;
+        const mid = Math.floor(sortedScores.length / 2);
+        return sortedScores.length % 2 === 0
+            ? this.round((sortedScores[mid - 1] + sortedScores[mid]) / 2)
+            : sortedScores[mid];
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Create global instance
+window.rfflHistory = new RFFLHistoryArchive();
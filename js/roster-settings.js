@@ -0,0 +1,195 @@
+/**
+ * RFFL Roster Settings
+ * The league's roster format: starting slots and their counts, the positions
+ * each slot accepts, and bench/IR sizes. Covers combo slots (FLEX, RB/WR,
+ * WR/TE), superflex (OP) and IDP slots (DL, DB, DP).
+ *
+ * config.rosterSettings overrides the RFFL defaults. With
+ * rosterSettings.source "espn", the league's ESPN settings
+ * (lineupSlotCounts) take precedence once loaded, and config is the fallback.
+ *
+ * Settings: { slots: {slot: count}, benchSize, irSize, origin: 'default'|'config'|'espn' }
+ */
+
+class RosterSettings {
+    constructor() {
+        this.defaults = {
+            slots: { 'QB': 1, 'RB': 2, 'WR': 2, 'TE': 1, 'FLEX': 1, 'D/ST': 1, 'K': 1 },
+            benchSize: 7,
+            irSize: 1
+        };
+
+        // Other names leagues and feeds use for the same slot
+        this.slotAliases = {
+            'RB/WR/TE': 'FLEX',
+            'W/R/T': 'FLEX',
+            'SUPERFLEX': 'OP',
+            'SFLEX': 'OP',
+            'QB/RB/WR/TE': 'OP',
+            'IDP': 'DP',
+            'DST': 'D/ST',
+            'DEF': 'D/ST',
+            'DEFENSE': 'D/ST',
+            'BE': 'Bench',
+            'BENCH': 'Bench'
+        };
+
+        // Slots accepting more than one position; any other slot takes its own
+        this.defaultEligibility = {
+            'FLEX': ['RB', 'WR', 'TE'],
+            'RB/WR': ['RB', 'WR'],
+            'WR/TE': ['WR', 'TE'],
+            'OP': ['QB', 'RB', 'WR', 'TE'],
+            'DL': ['DT', 'DE'],
+            'DB': ['CB', 'S'],
+            'DP': ['DT', 'DE', 'LB', 'CB', 'S']
+        };
+        this.eligibility = this.toEligibilitySets(this.defaultEligibility);
+
+        // Display order; slots not listed sort after these
+        this.slotOrder = [
+            'QB', 'RB', 'WR', 'TE', 'FLEX', 'RB/WR', 'WR/TE', 'OP',
+            'DT', 'DE', 'LB', 'CB', 'S', 'DL', 'DB', 'DP', 'D/ST', 'K', 'P', 'HC'
+        ];
+        this.benchSlots = new Set(['Bench', 'IR']);
+
+        this.source = 'config'; // 'config' | 'espn'
+        this.configSettings = this.normalize(this.defaults, 'default');
+        this.espnSettings = null;
+    }
+
+    /**
+     * Apply league configuration (config/espn-config.json)
+     * rosterSettings: { source, slots, benchSize, irSize, eligibility: {slot: [positions]} }
+     */
+    configure(config = {}) {
+        const settings = config.rosterSettings;
+        if (!settings) return;
+
+        if (settings.source && !['config', 'espn'].includes(settings.source)) {
+            throw new Error(`Unknown roster settings source "${settings.source}" (use "config" or "espn")`);
+        }
+        this.source = settings.source || 'config';
+        this.eligibility = this.toEligibilitySets({ ...this.defaultEligibility, ...(settings.eligibility || {}) });
+        this.configSettings = this.normalize({ ...this.defaults, ...settings }, 'config');
+    }
+
+    /**
+     * League settings parsed from ESPN (ESPNBoxscoreClient.parseRosterSettings);
+     * used when rosterSettings.source is "espn"
+     */
+    applyESPNSettings(settings) {
+        this.espnSettings = this.normalize(settings, 'espn');
+    }
+
+    /**
+     * Settings in effect
+     */
+    getSettings() {
+        return this.source === 'espn' && this.espnSettings ? this.espnSettings : this.configSettings;
+    }
+
+    /**
+     * Validate counts and canonicalize slot names
+     */
+    normalize(settings, origin) {
+        const slots = {};
+        Object.entries(settings.slots || {}).forEach(([name, count]) => {
+            const slot = this.normalizeSlotName(name);
+            if (!Number.isInteger(count) || count < 0) {
+                throw new Error(`Invalid ${name} slot count "${count}" in roster settings`);
+            }
+            if (this.benchSlots.has(slot)) {
+                throw new Error(`${name} is not a starting slot; set benchSize/irSize instead`);
+            }
+            if (count > 0) slots[slot] = (slots[slot] || 0) + count;
+        });
+        if (Object.keys(slots).length === 0) {
+            throw new Error('Roster settings have no starting slots');
+        }
+
+        ['benchSize', 'irSize'].forEach(key => {
+            if (!Number.isInteger(settings[key]) || settings[key] < 0) {
+                throw new Error(`Invalid ${key} "${settings[key]}" in roster settings`);
+            }
+        });
+
+        const rank = (slot) => this.slotOrder.includes(slot) ? this.slotOrder.indexOf(slot) : this.slotOrder.length;
+        const ordered = Object.keys(slots).sort((a, b) => rank(a) - rank(b));
+
+        return {
+            slots: Object.fromEntries(ordered.map(slot => [slot, slots[slot]])),
+            benchSize: settings.benchSize,
+            irSize: settings.irSize,
+            origin
+        };
+    }
+
+    /**
+     * Starting slot → count
+     */
+    getRequirements() {
+        return { ...this.getSettings().slots };
+    }
+
+    getStarterCount() {
+        return Object.values(this.getSettings().slots).reduce((sum, count) => sum + count, 0);
+    }
+
+    getBenchSize() {
+        return this.getSettings().benchSize;
+    }
+
+    getIRSize() {
+        return this.getSettings().irSize;
+    }
+
+    /**
+     * Positions a slot accepts
+     */
+    getSlotEligibility(slot) {
+        return this.eligibility[slot] || new Set([slot]);
+    }
+
+    isEligible(position, slot) {
+        return this.getSlotEligibility(slot).has(position);
+    }
+
+    /**
+     * Slot names any league format uses (so feeds can be told apart from junk)
+     */
+    isKnownSlot(slot) {
+        return this.benchSlots.has(slot) || slot in this.getSettings().slots ||
+            slot in this.eligibility || this.slotOrder.includes(slot);
+    }
+
+    /**
+     * Canonical slot name: "BE" → "Bench", "SUPERFLEX" → "OP", "RB/WR/TE" → "FLEX"
+     */
+    normalizeSlotName(name) {
+        const slot = String(name || '').trim().toUpperCase();
+        if (!slot) return null;
+        return this.slotAliases[slot] || slot;
+    }
+
+    /**
+     * e.g. "QB, 2 RB, 2 WR, TE, FLEX, D/ST, K · 7 bench · 1 IR"
+     */
+    describe() {
+        const settings = this.getSettings();
+        const slots = Object.entries(settings.slots).map(([slot, count]) => count > 1 ? `${count} ${slot}` : slot);
+        return `${slots.join(', ')} · ${settings.benchSize} bench · ${settings.irSize} IR`;
+    }
+
+    toJSON() {
+        return this.getSettings();
+    }
+
+    toEligibilitySets(eligibility) {
+        return Object.fromEntries(Object.entries(eligibility).map(([slot, positions]) =>
+            [this.normalizeSlotName(slot), new Set(positions.map(p => String(p).toUpperCase()))]));
+    }
+}
+
+// Create global instance
+window.rosterSettings = new RosterSettings();
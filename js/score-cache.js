@@ -0,0 +1,88 @@
+/**
+ * RFFL Score Cache - Last-known-good scores
+ * The latest team scores (and rosters, when the boxscore client returned
+ * them) fetched from ESPN or the scores server are kept in localStorage per
+ * season and week. When ESPN is unreachable (stadium Wi-Fi, offline) the
+ * data service serves these with lastDataSource 'cache' and the fetch time,
+ * so pages can say how old the numbers are instead of showing sample data.
+ *
+ * Entry: { season, week, source, fetchedAt, teams }
+ */
+
+class ScoreCache {
+    constructor() {
+        this.storagePrefix = 'rffl-scores';
+        this.memory = new Map(); // Fallback when localStorage is unavailable or full
+    }
+
+    key(season, week) {
+        return `${this.storagePrefix}-${season}-w${week}`;
+    }
+
+    /**
+     * Remember a successful fetch
+     * @param {Array} teams - raw team records (players included when known)
+     * @param {Object} meta - { source: 'espn'|'fixture', timestamp? }
+     * @returns {Object} - the stored entry
+     */
+    save(season, week, teams, meta = {}) {
+        const entry = {
+            season,
+            week,
+            source: meta.source || 'espn',
+            fetchedAt: meta.timestamp || Date.now(),
+            teams
+        };
+        const key = this.key(season, week);
+
+        this.memory.set(key, entry);
+        try {
+            localStorage.setItem(key, JSON.stringify(entry));
+        } catch (error) {
+            console.warn('Last-known-good scores kept in memory only:', error.message);
+        }
+        return entry;
+    }
+
+    /**
+     * Last-known-good scores for a week, or null
+     */
+    load(season, week) {
+        const key = this.key(season, week);
+        try {
+            const stored = localStorage.getItem(key);
+            if (stored) return JSON.parse(stored);
+        } catch (error) {
+            // Unreadable entry: fall through to memory
+        }
+        return this.memory.get(key) || null;
+    }
+
+    clear(season, week) {
+        const key = this.key(season, week);
+        this.memory.delete(key);
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            // Nothing stored
+        }
+    }
+
+    /**
+     * "14:05" for today's fetches, "Sun 14:05" for older ones
+     */
+    formatFetchTime(timestamp, now = Date.now()) {
+        const fetched = new Date(timestamp);
+        const time = fetched.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return fetched.toDateString() === new Date(now).toDateString()
+            ? time
+            : `${fetched.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+    }
+
+    formatStaleSince(timestamp, now = Date.now()) {
+        return `Stale since ${this.formatFetchTime(timestamp, now)}`;
+    }
+}
+
+// Create global instance
+window.scoreCache = new ScoreCache();
@@ -0,0 +1,246 @@
+/**
+ * RFFL Season Standings - "Median as a 13th opponent"
+ * Builds cumulative standings on top of MedianCalculator.calculateMedian:
+ * every week each team plays its head-to-head opponent AND the league median.
+ *
+ * Median-format weeks (seasonSettings.medianWeeks, e.g. Week 1) are special:
+ * the ESPN matchup is a placeholder, so the median result is the team's only
+ * game that week. The week1Settings flags then decide whether those weeks
+ * count as division games (isDivisionNeutral) and whether the placeholder
+ * matchup feeds the head-to-head tiebreaker table (excludeFromH2HTiebreakers).
+ *
+ * Exact-median ties are booked the way the weekly view shows them: pass the
+ * weeks through resolveWeeks (TiebreakerResolver) before calculateStandings.
+ */
+
+class SeasonStandingsCalculator {
+    constructor(medianCalculator) {
+        this.medianCalculator = medianCalculator;
+        this.isDivisionNeutral = true;
+        this.excludeFromH2HTiebreakers = true;
+    }
+
+    /**
+     * Apply league configuration (config/espn-config.json)
+     */
+    configure(config = {}) {
+        const settings = config.week1Settings || {};
+        if (typeof settings.isDivisionNeutral === 'boolean') {
+            this.isDivisionNeutral = settings.isDivisionNeutral;
+        }
+        if (typeof settings.excludeFromH2HTiebreakers === 'boolean') {
+            this.excludeFromH2HTiebreakers = settings.excludeFromH2HTiebreakers;
+        }
+    }
+
+    /**
+     * Attach each week's median results with exact-median ties broken by
+     * window.tiebreakers (rosters are only fetched for weeks with a tie)
+     * @param {Array} weeks - [{ week, teams }]
+     * @param {Function} getRoster - async (team, week) => players
+     * @param {Object} options - { season } passed on to resolveTies
+     * @returns {Array} - [{ week, teams, results }]
+     */
+    async resolveWeeks(weeks, getRoster, options = {}) {
+        return Promise.all(weeks.map(async ({ week, teams }) => {
+            const results = this.medianCalculator.calculateMedian(teams, week);
+            return {
+                week,
+                teams,
+                results: window.tiebreakers
+                    ? await window.tiebreakers.resolveTies(results, team => getRoster(team, week), options)
+                    : results
+            };
+        }));
+    }
+
+    /**
+     * Build cumulative standings
+     * @param {Array} weeks - [{ week, teams, results? }] where teams are enriched team score
+     *                        objects and results (from resolveWeeks) has ties already broken
+     * @returns {Object} - { standings, weeksIncluded, medians }
+     */
+    calculateStandings(weeks) {
+        const records = new Map();
+        const medians = [];
+
+        weeks
+            .slice()
+            .sort((a, b) => a.week - b.week)
+            .forEach(({ week, teams, results: resolved }) => {
+                const results = resolved || this.medianCalculator.calculateMedian(teams, week);
+                medians.push({ week, median: results.median, isMedianWeek: results.isMedianWeek });
+
+                results.teams.forEach(team => {
+                    const record = this.getRecord(records, team);
+                    this.applyWeek(record, team, results);
+                });
+            });
+
+        const standings = this.rankStandings([...records.values()]);
+
+        return {
+            standings,
+            weeksIncluded: medians.map(m => m.week),
+            medians,
+            calculatedAt: new Date().toISOString()
+        };
+    }
+
+    getRecord(records, team) {
+        const code = this.getTeamKey(team);
+        if (!records.has(code)) {
+            records.set(code, {
+                team: code,
+                teamName: team.teamName || team.displayName || code,
+                division: team.division || null,
+                h2h: this.emptyRecord(),
+                median: this.emptyRecord(),
+                combined: this.emptyRecord(),
+                divisionRecord: this.emptyRecord(),
+                headToHead: {}, // opponent code → record, used for tiebreakers
+                pointsFor: 0,
+                pointsAgainst: 0,
+                weeks: []
+            });
+        }
+        return records.get(code);
+    }
+
+    applyWeek(record, team, results) {
+        const { week, isMedianWeek, median } = results;
+        const opponentCode = team.opponent
+            ? this.getOpponentKey(team, results)
+            : null;
+
+        // Median game is played every week
+        this.addResult(record.median, team.result);
+        this.addResult(record.combined, team.result);
+
+        // Head-to-head game only in non-median-format weeks
+        const playsH2H = !isMedianWeek && team.h2hResult;
+        if (playsH2H) {
+            this.addResult(record.h2h, team.h2hResult);
+            this.addResult(record.combined, team.h2hResult);
+        }
+
+        record.pointsFor = this.medianCalculator.roundScore(record.pointsFor + team.score);
+        // In median-format weeks the median is the opponent
+        const pointsAgainst = isMedianWeek ? median : (team.opponentScore ?? 0);
+        record.pointsAgainst = this.medianCalculator.roundScore(record.pointsAgainst + pointsAgainst);
+
+        // Division games: scheduled opponent in the same division
+        const opponent = results.teams.find(t => this.getTeamKey(t) === opponentCode);
+        const isDivisionGame = opponent && record.division && opponent.division === record.division;
+        if (isDivisionGame && (!isMedianWeek || !this.isDivisionNeutral)) {
+            this.addResult(record.divisionRecord, isMedianWeek ? team.result : team.h2hResult);
+        }
+
+        // Tiebreaker table: scheduled matchups, optionally skipping median-format weeks
+        if (opponentCode && team.h2hResult && (!isMedianWeek || !this.excludeFromH2HTiebreakers)) {
+            record.headToHead[opponentCode] = record.headToHead[opponentCode] || this.emptyRecord();
+            this.addResult(record.headToHead[opponentCode], team.h2hResult);
+        }
+
+        record.weeks.push({
+            week,
+            score: team.score,
+            median,
+            medianResult: team.result,
+            h2hResult: playsH2H ? team.h2hResult : null,
+            opponent: playsH2H ? opponentCode : null
+        });
+    }
+
+    /**
+     * Sort by combined win percentage; teams tied on it are ordered by
+     * breakTies
+     */
+    rankStandings(records) {
+        records.forEach(record => {
+            ['h2h', 'median', 'combined', 'divisionRecord'].forEach(key => {
+                record[key].pct = this.winPct(record[key]);
+            });
+        });
+
+        const groups = new Map(); // combined pct → tied records
+        records.forEach(record => {
+            const group = groups.get(record.combined.pct) || [];
+            group.push(record);
+            groups.set(record.combined.pct, group);
+        });
+
+        const sorted = [...groups.entries()]
+            .sort(([a], [b]) => b - a)
+            .flatMap(([, group]) => this.breakTies(group));
+
+        return sorted.map((record, index) => ({ ...record, rank: index + 1 }));
+    }
+
+    /**
+     * Order a group tied on combined percentage by each team's head-to-head
+     * record against the whole group, then points for, then team code. A
+     * pairwise comparison is not transitive (A beat B, B beat C, C beat A),
+     * so the order would depend on the sort. Teams that never met the rest
+     * of the group count as .500 in the head-to-head step.
+     */
+    breakTies(group) {
+        if (group.length < 2) return group;
+
+        const groupPct = new Map(group.map(record => {
+            const versusGroup = this.emptyRecord();
+            group.forEach(other => {
+                const games = other !== record && record.headToHead[other.team];
+                if (!games) return;
+                versusGroup.wins += games.wins;
+                versusGroup.losses += games.losses;
+                versusGroup.ties += games.ties;
+            });
+            const played = versusGroup.wins + versusGroup.losses + versusGroup.ties;
+            return [record.team, played === 0 ? 0.5 : this.winPct(versusGroup)];
+        }));
+
+        return group.slice().sort((a, b) =>
+            groupPct.get(b.team) - groupPct.get(a.team) ||
+            b.pointsFor - a.pointsFor ||
+            a.team.localeCompare(b.team));
+    }
+
+    emptyRecord() {
+        return { wins: 0, losses: 0, ties: 0 };
+    }
+
+    addResult(record, result) {
+        if (result === 'WIN') record.wins++;
+        else if (result === 'LOSS') record.losses++;
+        else if (result === 'TIE') record.ties++;
+    }
+
+    winPct(record) {
+        if (!record) return 0;
+        const games = record.wins + record.losses + record.ties;
+        return games === 0 ? 0 : (record.wins + record.ties * 0.5) / games;
+    }
+
+    getTeamKey(team) {
+        return team.canonicalCode || team.team;
+    }
+
+    getOpponentKey(team, results) {
+        const opponent = results.teams.find(t => t.team === team.opponent);
+        return opponent ? this.getTeamKey(opponent) : team.opponent;
+    }
+
+    /**
+     * Format a record as W-L or W-L-T
+     */
+    formatRecord(record) {
+        if (!record) return '0-0';
+        return record.ties > 0
+            ? `${record.wins}-${record.losses}-${record.ties}`
+            : `${record.wins}-${record.losses}`;
+    }
+}
+
+// Create global instance
+window.seasonStandings = new SeasonStandingsCalculator(window.medianCalculator);
@@ -0,0 +1,268 @@
+/**
+ * RFFL Snapshot Store - Persistent score-snapshot timeline
+ * Every fetched set of median results is saved to IndexedDB with a timestamp,
+ * so a Sunday can be replayed (median and each team's WIN/LOSS over time)
+ * after the page reloads. Falls back to an in-memory log when IndexedDB is
+ * unavailable (private browsing, Node).
+ */
+
+class SnapshotStore {
+    constructor() {
+        this.dbName = 'rffl-median';
+        this.storeName = 'snapshots';
+        this.version = 1;
+        this.maxPerWeek = 2000; // ~16 hours of 30-second refreshes
+        this.db = null;
+        this.memory = []; // Fallback when IndexedDB is unavailable
+        this.nextMemoryId = 1;
+    }
+
+    /**
+     * Apply league configuration (config/espn-config.json)
+     */
+    configure(config = {}) {
+        const settings = config.snapshots || {};
+        if (settings.maxPerWeek > 0) this.maxPerWeek = settings.maxPerWeek;
+    }
+
+    /**
+     * Open (and create on first use) the snapshots object store
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (typeof indexedDB === 'undefined') return null;
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('seasonWeek', ['season', 'week']);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.warn('IndexedDB unavailable, keeping snapshots in memory:', error?.message || error);
+            this.db = null;
+        }
+        return this.db;
+    }
+
+    /**
+     * Save one set of median results
+     * @param {Object} results - MedianCalculator.calculateMedian output (tiebreakers applied)
+     * @param {Object} meta - { season, source, timestamp? }
+     * @returns {Object} - the stored snapshot
+     */
+    async record(results, meta = {}) {
+        const snapshot = this.createSnapshot(results, meta);
+        const db = await this.open();
+
+        if (!db) {
+            snapshot.id = this.nextMemoryId++;
+            this.memory.push(snapshot);
+        } else {
+            snapshot.id = await this.transaction('readwrite', store => store.add(snapshot));
+        }
+
+        await this.prune(snapshot.season, snapshot.week);
+        return snapshot;
+    }
+
+    /**
+     * Save results unless they repeat the week's latest snapshot (same median
+     * and team scores): cache hits and re-visits of finished weeks would
+     * otherwise fill the timeline with identical points
+     * @returns {Object|null} - the stored snapshot, or null when unchanged
+     */
+    async recordIfChanged(results, meta = {}) {
+        const timeline = await this.getTimeline(results.week, meta.season ?? 0);
+        if (this.isUnchanged(timeline[timeline.length - 1], results)) return null;
+        return this.record(results, meta);
+    }
+
+    isUnchanged(latest, results) {
+        if (!latest || latest.median !== results.median || latest.teams.length !== results.teams.length) {
+            return false;
+        }
+        const scores = new Map(latest.teams.map(team => [this.getTeamKey(team), team.score]));
+        return results.teams.every(team => scores.get(this.getTeamKey(team)) === team.score);
+    }
+
+    /**
+     * Compact, JSON-safe copy of the results: enough to re-render the median
+     * display and team grid, without rosters
+     */
+    createSnapshot(results, meta = {}) {
+        return {
+            season: meta.season ?? 0, // IndexedDB keys can't be null; 0 = unspecified
+            week: results.week,
+            timestamp: meta.timestamp ?? Date.now(),
+            source: meta.source || null,
+            median: results.median,
+            rule: results.rule,
+            ruleDescription: results.ruleDescription,
+            isMedianWeek: results.isMedianWeek,
+            referenceRanks: results.referenceRanks,
+            stats: results.stats,
+            teams: results.teams.map(team => {
+                const { players, ...record } = team;
+                return JSON.parse(JSON.stringify(record));
+            })
+        };
+    }
+
+    /**
+     * All snapshots for a week, oldest first
+     */
+    async getTimeline(week, season = 0) {
+        const db = await this.open();
+        let snapshots;
+
+        if (!db) {
+            snapshots = this.memory.filter(s => s.week === week && s.season === season);
+        } else {
+            snapshots = await this.transaction('readonly', store =>
+                store.index('seasonWeek').getAll(IDBKeyRange.only([season, week])));
+        }
+
+        return snapshots.slice().sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Most recent snapshots across all weeks, oldest first
+     */
+    async getRecent(limit = 100) {
+        const db = await this.open();
+        const snapshots = db
+            ? await this.transaction('readonly', store => store.getAll())
+            : this.memory.slice();
+
+        return snapshots.sort((a, b) => a.timestamp - b.timestamp).slice(-limit);
+    }
+
+    async clearWeek(week, season = 0) {
+        const timeline = await this.getTimeline(week, season);
+        await this.deleteSnapshots(timeline.map(s => s.id));
+        return timeline.length;
+    }
+
+    /**
+     * Drop the oldest snapshots of a week beyond maxPerWeek
+     */
+    async prune(season, week) {
+        const timeline = await this.getTimeline(week, season);
+        const excess = timeline.length - this.maxPerWeek;
+        if (excess > 0) {
+            await this.deleteSnapshots(timeline.slice(0, excess).map(s => s.id));
+        }
+    }
+
+    async deleteSnapshots(ids) {
+        if (ids.length === 0) return;
+        const db = await this.open();
+
+        if (!db) {
+            const doomed = new Set(ids);
+            this.memory = this.memory.filter(s => !doomed.has(s.id));
+            return;
+        }
+        await this.transaction('readwrite', store => {
+            ids.forEach(id => store.delete(id));
+        });
+    }
+
+    /**
+     * Run one request against the object store and resolve with its result
+     * once the transaction completes
+     */
+    transaction(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * WIN/LOSS/TIE flips between consecutive snapshots
+     * @returns {Array} - [{timestamp, index, team, from, to, score, median}]
+     */
+    getStatusChanges(timeline) {
+        const changes = [];
+
+        timeline.forEach((snapshot, index) => {
+            if (index === 0) return;
+            const previous = new Map(timeline[index - 1].teams.map(t => [this.getTeamKey(t), t.result]));
+
+            snapshot.teams.forEach(team => {
+                const from = previous.get(this.getTeamKey(team));
+                if (from && from !== team.result) {
+                    changes.push({
+                        timestamp: snapshot.timestamp,
+                        index,
+                        team: this.getTeamKey(team),
+                        from,
+                        to: team.result,
+                        score: team.score,
+                        median: snapshot.median
+                    });
+                }
+            });
+        });
+
+        return changes;
+    }
+
+    /**
+     * Chart.js data for the median over time, with the top and bottom score
+     * as a band for context
+     */
+    generateTimelineChartData(timeline) {
+        const labels = timeline.map(s => this.formatTime(s.timestamp));
+        return {
+            labels,
+            datasets: [
+                {
+                    label: 'Median',
+                    data: timeline.map(s => s.median),
+                    borderColor: '#8b5cf6',
+                    backgroundColor: 'rgba(139, 92, 246, 0.2)',
+                    borderWidth: 2,
+                    pointRadius: 2,
+                    tension: 0.2
+                },
+                {
+                    label: 'High Score',
+                    data: timeline.map(s => s.stats?.highScore ?? null),
+                    borderColor: 'rgba(16, 185, 129, 0.6)',
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    pointRadius: 0
+                },
+                {
+                    label: 'Low Score',
+                    data: timeline.map(s => s.stats?.lowScore ?? null),
+                    borderColor: 'rgba(239, 68, 68, 0.6)',
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    pointRadius: 0
+                }
+            ]
+        };
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    }
+
+    getTeamKey(team) {
+        return team.canonicalCode || team.team;
+    }
+}
+
+// Create global instance
+window.snapshotStore = new SnapshotStore();
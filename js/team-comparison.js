@@ -0,0 +1,105 @@
+/**
+ * RFFL Head-to-Head Team Comparison
+ * Two teams side by side: starters paired slot by slot in the league's slot
+ * order, player scores and projections, margin versus the median, bench
+ * points and the gap to each team's optimal lineup
+ * (RFFLDataService.analyzeBenchEfficiency).
+ *
+ * Comparison: { week, median, teams: [side, side], rows: [{slot, a, b, diff}],
+ *               edges: {score, proj, benchPoints, optimalGap}, slotWins: [a, b] }
+ */
+
+class TeamComparison {
+    /**
+     * Compare two teams
+     * @param {Object} a - { team: MedianCalculator team result, players: roster }
+     * @param {Object} b - same shape as a
+     * @param {Object} options - { results (calculateMedian output), settings (RosterSettings) }
+     */
+    build(a, b, options = {}) {
+        const settings = options.settings || window.rosterSettings;
+        const results = options.results || null;
+        const sides = [a, b].map(side => this.buildSide(side.team, side.players || [], settings, results));
+        const rows = this.alignSlots(sides[0].starters, sides[1].starters, settings);
+        const edge = (field) => sides[0][field] != null && sides[1][field] != null
+            ? this.round(sides[0][field] - sides[1][field])
+            : null;
+
+        return {
+            week: results?.week ?? null,
+            median: results?.median ?? null,
+            teams: sides,
+            rows,
+            edges: {
+                score: edge('score'),
+                proj: edge('proj'),
+                benchPoints: edge('benchPoints'),
+                optimalGap: edge('optimalGap')
+            },
+            slotWins: [rows.filter(row => row.diff > 0).length, rows.filter(row => row.diff < 0).length]
+        };
+    }
+
+    /**
+     * One team's column: result vs. median plus roster analysis when the
+     * roster is known
+     */
+    buildSide(team, players, settings, results) {
+        const analysis = players.length > 0
+            ? window.rfflData.analyzeBenchEfficiency(players, { settings })
+            : null;
+        const byScore = (x, y) => (y.score || 0) - (x.score || 0);
+
+        return {
+            team: team.canonicalCode || team.team,
+            espnCode: team.team,
+            score: team.score,
+            proj: team.proj ?? null,
+            marginVsMedian: team.marginVsMedian ?? (results ? this.round(team.score - results.median) : null),
+            result: team.result || null,
+            rank: team.rank ?? null,
+            hasRoster: players.length > 0,
+            starters: players.filter(p => window.rfflData.isStarterSlot(p.slot)),
+            bench: players.filter(p => !window.rfflData.isStarterSlot(p.slot)).sort(byScore),
+            benchPoints: analysis?.benchPoints ?? null,
+            optimalScore: analysis?.optimalScore ?? null,
+            optimalGap: analysis?.pointsLeftOnBench ?? null,
+            efficiency: analysis?.efficiency ?? null
+        };
+    }
+
+    /**
+     * Pair starters slot by slot (highest scorer first within a slot); a slot
+     * one side left empty pairs with null. Slots outside the league format
+     * (bad feed data) sort last so nothing is hidden.
+     * @returns {Array} - [{ slot, a, b, diff }] where diff is a's score minus b's
+     */
+    alignSlots(startersA, startersB, settings) {
+        const requirements = settings.getRequirements();
+        const order = settings.slotOrder;
+        const rank = (slot) => order.includes(slot) ? order.indexOf(slot) : order.length;
+        const slots = [...new Set([...Object.keys(requirements), ...startersA.map(p => p.slot), ...startersB.map(p => p.slot)])]
+            .sort((x, y) => rank(x) - rank(y));
+        const inSlot = (players, slot) => players.filter(p => p.slot === slot).sort((x, y) => (y.score || 0) - (x.score || 0));
+
+        return slots.flatMap(slot => {
+            const a = inSlot(startersA, slot);
+            const b = inSlot(startersB, slot);
+            const count = Math.max(requirements[slot] || 0, a.length, b.length);
+
+            return Array.from({ length: count }, (_, i) => ({
+                slot,
+                a: a[i] || null,
+                b: b[i] || null,
+                diff: this.round((a[i]?.score || 0) - (b[i]?.score || 0))
+            }));
+        });
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Create global instance
+window.teamComparison = new TeamComparison();
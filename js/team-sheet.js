@@ -0,0 +1,136 @@
+/**
+ * RFFL Team Sheet
+ * What the mobile long-press sheet shows for one team: starters in slot
+ * order with their game state, starters still to play, margin versus the
+ * median, projection, and the season record against the median (completed
+ * weeks from SeasonStandingsCalculator plus this week's result, which stays
+ * provisional until the team's games are final).
+ *
+ * Sheet: { team, espnCode, name, owners, week, score, proj, median, marginVsMedian,
+ *          projectedMargin, result, rank, teamCount, isFinal, starters, leftToPlay,
+ *          progress, seasonRecord }
+ */
+
+class TeamSheetBuilder {
+    /**
+     * Build the sheet for one team
+     * @param {Object} team - MedianCalculator.calculateMedian team result
+     * @param {Array} players - roster with slot, pos and game (GameClockTracker)
+     * @param {Object} options - { results, standings, isFinal } where standings is
+     *                           SeasonStandingsCalculator output for the weeks before results.week
+     */
+    build(team, players = [], options = {}) {
+        const results = options.results || {};
+        const median = results.median ?? (team.score - team.marginVsMedian);
+        const statuses = window.gameClock.statuses;
+        const starters = this.sortBySlot(players.filter(p => window.rfflData.isStarterSlot(p.slot)))
+            .map(player => ({
+                name: player.name,
+                slot: player.slot,
+                pos: window.rfflData.getPlayerPosition(player),
+                nflTeam: player.team || null,
+                score: player.score || 0,
+                proj: player.proj || 0,
+                status: player.game?.status || statuses.UNKNOWN,
+                gameLabel: window.gameClock.formatGameStatus(player.game)
+            }));
+        const code = team.canonicalCode || team.team;
+        const isFinal = options.isFinal ?? false;
+
+        return {
+            team: code,
+            espnCode: team.team,
+            name: team.teamFullName || team.teamName || code,
+            owners: [team.ownerCode1, team.ownerCode2].filter(Boolean),
+            week: results.week ?? null,
+            score: team.score,
+            proj: team.proj ?? null,
+            median,
+            marginVsMedian: team.marginVsMedian,
+            projectedMargin: team.proj != null ? this.round(team.proj - median) : null,
+            result: team.result,
+            rank: team.rank ?? null,
+            teamCount: results.teams?.length ?? null,
+            isFinal,
+            starters,
+            leftToPlay: starters.filter(p => p.status === statuses.NOT_STARTED || p.status === statuses.IN_PROGRESS),
+            progress: window.gameClock.summarize(players),
+            seasonRecord: this.getSeasonRecord(code, options.standings, team, isFinal)
+        };
+    }
+
+    /**
+     * Median record over completed weeks plus this week's result
+     * @returns {Object} - { wins, losses, ties, games, priorWeeks, includesCurrent, provisional }
+     */
+    getSeasonRecord(code, standings, team, isFinal = false) {
+        const prior = standings?.standings?.find(record => record.team === code);
+        const record = {
+            wins: prior?.median.wins || 0,
+            losses: prior?.median.losses || 0,
+            ties: prior?.median.ties || 0,
+            priorWeeks: standings?.weeksIncluded?.length || 0,
+            includesCurrent: false,
+            provisional: false
+        };
+
+        if (team?.result) {
+            window.seasonStandings.addResult(record, team.result);
+            record.includesCurrent = true;
+            record.provisional = !isFinal;
+        }
+        record.games = record.wins + record.losses + record.ties;
+        return record;
+    }
+
+    /**
+     * Two sheets side by side: who leads now and on projection
+     * @returns {Object} - { teams: [a, b], scoreDiff, projDiff, leader, projectedLeader }
+     */
+    compare(a, b) {
+        const leader = (diff) => diff > 0 ? a.team : diff < 0 ? b.team : null;
+        const scoreDiff = this.round(a.score - b.score);
+        const projDiff = a.proj != null && b.proj != null ? this.round(a.proj - b.proj) : null;
+
+        return {
+            teams: [a, b],
+            scoreDiff,
+            projDiff,
+            leader: leader(scoreDiff),
+            projectedLeader: projDiff === null ? null : leader(projDiff)
+        };
+    }
+
+    /**
+     * One-line result for sharing
+     */
+    formatShareText(sheet) {
+        const signed = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+        const status = sheet.isFinal ? sheet.result : `${sheet.result} (live, ${sheet.leftToPlay.length} left to play)`;
+        const record = this.formatRecord(sheet.seasonRecord);
+
+        return `RFFL Week ${sheet.week}: ${sheet.team} ${sheet.score.toFixed(2)} vs. median ` +
+            `${sheet.median.toFixed(2)} (${signed(sheet.marginVsMedian)}) — ${status}. ` +
+            `Season vs. median: ${record}`;
+    }
+
+    formatRecord(record) {
+        return window.seasonStandings.formatRecord(record);
+    }
+
+    /**
+     * Roster order: the league's slot order, then by score within a slot
+     */
+    sortBySlot(players) {
+        const order = window.rosterSettings.slotOrder;
+        const rank = (slot) => order.includes(slot) ? order.indexOf(slot) : order.length;
+        return players.slice().sort((a, b) => rank(a.slot) - rank(b.slot) || (b.score || 0) - (a.score || 0));
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Create global instance
+window.teamSheet = new TeamSheetBuilder();
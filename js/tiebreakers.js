@@ -0,0 +1,203 @@
+/**
+ * RFFL Median Tiebreaker Resolution
+ * Breaks exact-median ties (result === 'TIE') using the ordered list of rules
+ * in week1Settings.tiebreakers and records how each tie was decided.
+ *
+ * Teams sitting exactly on the median are ranked against each other; the
+ * ones that win the tiebreak take the slots above the cut line (e.g. the 6th
+ * place slot under the 6th/7th rule) and WIN, the rest LOSE.
+ */
+
+class TiebreakerResolver {
+    constructor() {
+        this.order = ['bench_points', 'highest_starter', 'fewest_negative_players', 'coin_flip'];
+        this.seed = null; // null = derive the seed from season, week and the tied teams
+        this.rules = new Map();
+
+        this.setupRules();
+    }
+
+    /**
+     * Tiebreaker rules: value(entry) is compared between two tied teams,
+     * where entry = { team, players, coinFlip }
+     */
+    setupRules() {
+        this.rules.set('bench_points', {
+            label: 'Bench points',
+            value: (entry) => this.sumScores(entry.players.filter(p => p.slot === 'Bench')),
+            higherWins: true
+        });
+
+        this.rules.set('highest_starter', {
+            label: 'Highest-scoring starter',
+            value: (entry) => Math.max(0, ...this.getStarters(entry.players).map(p => p.score)),
+            higherWins: true
+        });
+
+        this.rules.set('fewest_negative_players', {
+            label: 'Fewest negative-scoring starters',
+            value: (entry) => this.getStarters(entry.players).filter(p => p.score < 0).length,
+            higherWins: false
+        });
+
+        // Seeded coin flip: every team gets a reproducible random draw, drawn
+        // in team-code order so roster fetch order can't change it
+        this.rules.set('coin_flip', {
+            label: 'Coin flip',
+            value: (entry) => entry.coinFlip,
+            higherWins: true
+        });
+    }
+
+    /**
+     * Apply league configuration (config/espn-config.json)
+     */
+    configure(config = {}) {
+        const settings = config.week1Settings || {};
+        if (Array.isArray(settings.tiebreakers)) {
+            const unknown = settings.tiebreakers.filter(rule => !this.rules.has(rule));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown tiebreaker rule(s): ${unknown.join(', ')}`);
+            }
+            this.order = settings.tiebreakers;
+        }
+        if (settings.tiebreakerSeed !== undefined) {
+            this.seed = settings.tiebreakerSeed;
+        }
+    }
+
+    /**
+     * Resolve exact-median ties in a calculateMedian result
+     * @param {Object} results - MedianCalculator.calculateMedian output
+     * @param {Function} getRoster - async (team) => players [{name, score, slot}]
+     * @param {Object} options - { season } (feeds the derived coin-flip seed)
+     * @returns {Object} - results with tied teams resolved and tiebreakerApplied attached
+     */
+    async resolveTies(results, getRoster, options = {}) {
+        const tiedTeams = results.teams.filter(t => t.result === 'TIE');
+        if (tiedTeams.length < 2) {
+            // A lone team on the median has nobody to break the tie against
+            return results;
+        }
+
+        const seed = this.seed ?? this.deriveSeed(options.season, results.week, tiedTeams);
+        const random = MedianUtils.createRandom(seed);
+        const coinFlips = new Map(tiedTeams.map(team => this.getTeamKey(team)).sort()
+            .map(key => [key, random()]));
+
+        const entries = await Promise.all(tiedTeams.map(async team => ({
+            team,
+            players: await this.safeGetRoster(getRoster, team),
+            coinFlip: coinFlips.get(this.getTeamKey(team))
+        })));
+
+        const ranked = entries.slice().sort((a, b) => this.compare(b, a));
+        const winSlots = this.countWinSlots(tiedTeams, results.referenceRanks);
+
+        const decisions = new Map();
+        ranked.forEach((entry, index) => {
+            const outcome = index < winSlots ? 'WIN' : 'LOSS';
+            // The deciding comparison is against the team across the cut line
+            const rival = index < winSlots ? ranked[winSlots] : ranked[winSlots - 1];
+            const rule = this.findDecidingRule(entry, rival);
+
+            decisions.set(this.getTeamKey(entry.team), {
+                outcome,
+                rule: rule?.name || null,
+                ruleLabel: rule?.label || 'Unresolved',
+                detail: rule
+                    ? `${rule.label}: ${this.formatValue(rule, entry)} vs ${this.formatValue(rule, rival)} (${this.getTeamKey(rival.team)})`
+                    : 'No configured tiebreaker separated the teams',
+                tiedWith: tiedTeams.filter(t => t !== entry.team).map(t => this.getTeamKey(t)),
+                seed: rule?.name === 'coin_flip' ? seed : null,
+                order: this.order.slice()
+            });
+        });
+
+        const teams = results.teams.map(team => {
+            const decision = decisions.get(this.getTeamKey(team));
+            if (!decision || !decision.rule) return team;
+            return { ...team, result: decision.outcome, tiebreakerApplied: decision };
+        });
+
+        return {
+            ...results,
+            teams,
+            stats: window.medianCalculator.calculateMedianStats(teams, results.median),
+            tiebreakerSeed: seed
+        };
+    }
+
+    /**
+     * Seed when none is configured: the same tie resolves the same way on
+     * every reload, device and /api/median call
+     */
+    deriveSeed(season, week, tiedTeams) {
+        const codes = tiedTeams.map(team => this.getTeamKey(team)).sort();
+        return MedianUtils.hashSeed(`${season ?? ''}|${week}|${codes.join(',')}`);
+    }
+
+    /**
+     * Slots above the cut line held by tied teams (their rank ≤ the upper reference rank)
+     */
+    countWinSlots(tiedTeams, referenceRanks = []) {
+        const cutRank = referenceRanks.length === 2 ? referenceRanks[0] : referenceRanks[0] - 1;
+        const slots = tiedTeams.filter(t => t.rank <= cutRank).length;
+        // Keep at least one winner and one loser so the tie is actually broken
+        return Math.min(Math.max(slots, 1), tiedTeams.length - 1);
+    }
+
+    compare(a, b) {
+        for (const name of this.order) {
+            const diff = this.compareByRule(this.rules.get(name), a, b);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    compareByRule(rule, a, b) {
+        const diff = rule.value(a) - rule.value(b);
+        if (Math.abs(diff) < 1e-9) return 0;
+        return rule.higherWins ? Math.sign(diff) : -Math.sign(diff);
+    }
+
+    findDecidingRule(a, b) {
+        for (const name of this.order) {
+            const rule = this.rules.get(name);
+            if (this.compareByRule(rule, a, b) !== 0) {
+                return { name, ...rule };
+            }
+        }
+        return null;
+    }
+
+    formatValue(rule, entry) {
+        const value = rule.value(entry);
+        if (rule.name === 'coin_flip') return value.toFixed(3);
+        return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    }
+
+    async safeGetRoster(getRoster, team) {
+        try {
+            return (await getRoster(team)) || [];
+        } catch (error) {
+            console.warn(`Tiebreaker roster unavailable for ${this.getTeamKey(team)}:`, error.message);
+            return [];
+        }
+    }
+
+    getStarters(players) {
+        return players.filter(p => p.slot !== 'Bench' && p.slot !== 'IR');
+    }
+
+    sumScores(players) {
+        return Math.round(players.reduce((sum, p) => sum + (p.score || 0), 0) * 100) / 100;
+    }
+
+    getTeamKey(team) {
+        return team.canonicalCode || team.team;
+    }
+}
+
+// Create global instance
+window.tiebreakers = new TiebreakerResolver();
@@ -0,0 +1,173 @@
+/**
+ * RFFL Win Probability - Monte Carlo median simulation
+ * Samples each team's remaining output from projections and positional
+ * variance, recomputes the median with the configured MedianCalculator rule
+ * thousands of times and reports how often each team finishes above it.
+ *
+ * Pass a seed (options.seed or winProbability.seed in config) to make a run
+ * reproducible; otherwise a seed is generated and returned with the results.
+ */
+
+class WinProbabilityEngine {
+    constructor(medianCalculator) {
+        this.medianCalculator = medianCalculator;
+        this.iterations = 5000;
+        this.seed = null;
+
+        // Standard deviation as a fraction of remaining projected points
+        this.positionVariance = {
+            'QB': 0.45, 'RB': 0.6, 'WR': 0.7, 'TE': 0.8, 'K': 0.6, 'D/ST': 0.9
+        };
+        this.defaultPlayerVariance = 0.7;
+        this.teamVariance = 0.25; // Used when only team totals are known
+    }
+
+    /**
+     * Apply league configuration (config/espn-config.json)
+     */
+    configure(config = {}) {
+        const settings = config.winProbability || {};
+        if (settings.iterations > 0) this.iterations = settings.iterations;
+        if (settings.seed !== undefined) this.seed = settings.seed;
+    }
+
+    /**
+     * Run the simulation
+     * @param {Array} teams - [{team, score, proj, players?}] with score = points so far
+     * @param {Object} options - { iterations, seed, week }
+     * @returns {Object} - { teams: [{team, winProbability, ...}], median, seed, iterations }
+     */
+    simulate(teams, options = {}) {
+        this.medianCalculator.validateTeamCount(teams);
+
+        const iterations = options.iterations || this.iterations;
+        const seed = options.seed ?? this.seed ?? Math.floor(Math.random() * 2 ** 32);
+        const random = MedianUtils.createRandom(seed);
+        const nextNormal = this.createNormalSampler(random);
+
+        const rule = this.medianCalculator.medianRules.get(this.medianCalculator.ruleName);
+        const tiePolicy = this.medianCalculator.getTiePolicy();
+        const components = teams.map(team => this.getRemainingComponents(team));
+
+        const wins = new Array(teams.length).fill(0);
+        const ties = new Array(teams.length).fill(0);
+        const samples = teams.map(() => new Float64Array(iterations));
+        const medians = new Float64Array(iterations);
+
+        for (let i = 0; i < iterations; i++) {
+            const scores = teams.map((team, t) =>
+                components[t].reduce((sum, c) => sum + Math.max(0, c.mean + c.sd * nextNormal()), team.score || 0)
+            );
+            const sorted = scores.slice().sort((a, b) => b - a);
+            const median = this.medianCalculator.roundScore(
+                rule.computeThreshold(sorted, this.medianCalculator.ruleOptions).threshold
+            );
+            medians[i] = median;
+
+            scores.forEach((score, t) => {
+                samples[t][i] = score;
+                const margin = this.medianCalculator.roundScore(score - median);
+                const result = margin > 0 ? 'WIN' : margin < 0 ? 'LOSS' : this.medianCalculator.resolveTie(tiePolicy);
+                if (result === 'WIN') wins[t]++;
+                else if (result === 'TIE') ties[t]++;
+            });
+        }
+
+        const sortedMedians = medians.slice().sort();
+
+        return {
+            week: options.week ?? this.medianCalculator.week,
+            iterations,
+            seed,
+            median: {
+                expected: this.medianCalculator.roundScore(this.mean(medians)),
+                p10: this.medianCalculator.roundScore(this.percentile(sortedMedians, 0.1)),
+                p90: this.medianCalculator.roundScore(this.percentile(sortedMedians, 0.9))
+            },
+            teams: teams.map((team, t) => {
+                const sortedScores = samples[t].slice().sort();
+                return {
+                    team: team.canonicalCode || team.team,
+                    currentScore: team.score || 0,
+                    remainingProj: this.medianCalculator.roundScore(components[t].reduce((sum, c) => sum + c.mean, 0)),
+                    expectedScore: this.medianCalculator.roundScore(this.mean(samples[t])),
+                    scoreRange: {
+                        p10: this.medianCalculator.roundScore(this.percentile(sortedScores, 0.1)),
+                        p90: this.medianCalculator.roundScore(this.percentile(sortedScores, 0.9))
+                    },
+                    winProbability: wins[t] / iterations,
+                    tieProbability: ties[t] / iterations
+                };
+            }).sort((a, b) => b.winProbability - a.winProbability),
+            calculatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Projected points a team has yet to score: the game-clock summary when
+     * available, else projected total minus current score
+     */
+    getRemainingProjection(team) {
+        if (team.gameProgress?.hasGameData) return team.gameProgress.remainingProj;
+        return Math.max(0, (team.proj || 0) - (team.score || 0));
+    }
+
+    /**
+     * Remaining output as independent {mean, sd} components: one per starter
+     * when the roster is known, otherwise a single team-level component
+     */
+    getRemainingComponents(team) {
+        const starters = (team.players || []).filter(p => p.slot !== 'Bench' && p.slot !== 'IR');
+
+        if (starters.length > 0) {
+            return starters.map(player => {
+                const mean = player.remainingProj ?? Math.max(0, (player.proj || 0) - (player.score || 0));
+                const variance = this.positionVariance[player.pos] ?? this.defaultPlayerVariance;
+                return { mean, sd: mean * variance };
+            });
+        }
+
+        const mean = this.getRemainingProjection(team);
+        return [{ mean, sd: mean * this.teamVariance }];
+    }
+
+    /**
+     * Standard normal draws via Box-Muller from a uniform generator
+     */
+    createNormalSampler(random) {
+        let spare = null;
+        return () => {
+            if (spare !== null) {
+                const value = spare;
+                spare = null;
+                return value;
+            }
+            const u = 1 - random(); // (0, 1] so log() stays finite
+            const v = random();
+            const radius = Math.sqrt(-2 * Math.log(u));
+            spare = radius * Math.sin(2 * Math.PI * v);
+            return radius * Math.cos(2 * Math.PI * v);
+        };
+    }
+
+    mean(values) {
+        return values.reduce((sum, v) => sum + v, 0) / values.length;
+    }
+
+    percentile(sortedValues, p) {
+        const index = Math.min(sortedValues.length - 1, Math.floor(p * sortedValues.length));
+        return sortedValues[index];
+    }
+
+    /**
+     * Format a probability for display (e.g. 0.634 → "63%")
+     */
+    formatProbability(probability) {
+        if (probability > 0 && probability < 0.01) return '<1%';
+        if (probability < 1 && probability > 0.99) return '>99%';
+        return `${Math.round(probability * 100)}%`;
+    }
+}
+
+// Create global instance
+window.winProbability = new WinProbabilityEngine(window.medianCalculator);
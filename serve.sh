@@ -22,14 +22,18 @@ if lsof -Pi :8000 -sTCP:LISTEN -t >/dev/null 2>&1; then
     exit 1
 fi
 
-# Check for Python
-if command -v python3 >/dev/null 2>&1; then
+# Prefer the Node scores server (static files + /api); fall back to Python static-only
+if command -v node >/dev/null 2>&1; then
+    SERVER_KIND="node"
+elif command -v python3 >/dev/null 2>&1; then
+    SERVER_KIND="python"
     PYTHON_CMD="python3"
 elif command -v python >/dev/null 2>&1; then
+    SERVER_KIND="python"
     PYTHON_CMD="python"
 else
-    echo -e "${RED}❌ Python not found${NC}"
-    echo "Please install Python to run the development server."
+    echo -e "${RED}❌ Neither Node.js nor Python found${NC}"
+    echo "Please install Node.js 18+ (or Python) to run the development server."
     exit 1
 fi
 
@@ -37,6 +41,8 @@ fi
 OPEN_INDEX=false
 OPEN_STYLEGUIDE=false
 OPEN_LIVE=false
+SERVER_ARGS=()
+BIND_HOST="127.0.0.1" # --lan exposes the server (and its ESPN proxy) to the network
 
 for arg in "$@"; do
   case "$arg" in
@@ -49,6 +55,12 @@ for arg in "$@"; do
     --open-live)
       OPEN_LIVE=true
       ;;
+    --fixtures)
+      SERVER_ARGS+=("--fixtures")
+      ;;
+    --lan)
+      BIND_HOST="0.0.0.0"
+      ;;
   esac
 done
 
@@ -70,12 +82,21 @@ echo -e "📱 Mobile UI:   ${BLUE}http://localhost:8000/mobile.html${NC}"
 echo -e "💻 Desktop:     ${BLUE}http://localhost:8000${NC}"
 echo -e "🧪 Test Page:   ${BLUE}http://localhost:8000/test.html${NC}"
 echo -e "🎨 Style Guide: ${BLUE}http://localhost:8000/styleguide.html${NC}"
+if [ "$SERVER_KIND" = "node" ]; then
+    echo -e "🔌 Scores API:  ${BLUE}http://localhost:8000/api/live-scores${NC}"
+else
+    echo -e "${YELLOW}⚠️  Python fallback serves static files only (no /api, no fixture replay)${NC}"
+fi
 echo ""
 echo -e "${YELLOW}Press Ctrl+C to stop the server${NC}"
 echo ""
 
 # Start HTTP server in background, then open browser if requested
-"$PYTHON_CMD" -m http.server 8000 &
+if [ "$SERVER_KIND" = "node" ]; then
+    node server/server.js --port 8000 --host "$BIND_HOST" "${SERVER_ARGS[@]}" &
+else
+    "$PYTHON_CMD" -m http.server 8000 --bind "$BIND_HOST" &
+fi
 SERVER_PID=$!
 
 # Give the server a moment to start
@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+/**
+ * RFFL Median Webapp - Local Scores API Server
+ * Serves the static site and a small JSON API backed by the same browser
+ * modules (ESPNDataService, RFFLDataService, MedianCalculator) run in a
+ * sandbox, so every view and the API share one pipeline.
+ *
+ *   GET /api/live-scores?week=N   Team scores for a scoring period
+ *   GET /api/teams?week=N         League teams with canonical identity
+ *   GET /api/rosters/:team?week=N Players, game states and remaining projection
+ *   GET /api/median?week=N        Median results (tiebreakers applied)
+ *   GET /api/compliance?week=N    Lineup compliance audit + commissioner report
+ *   GET /api/roster-settings      League roster format (slots, bench/IR sizes)
+ *
+ * ESPN upstream responses are proxied with a cache (config cacheTimeout).
+ * Run with --fixtures (or RFFL_DATA_MODE=fixture) to replay fixtures/espn
+ * offline. Uses only Node built-ins (Node 18+ for fetch).
+ *
+ * Listens on 127.0.0.1 unless --host (or RFFL_HOST) asks for a wider bind.
+ * Dot-files (.git, .env, ...) are never served, and the config is only ever
+ * served with the private-league cookies stripped.
+ *
+ * Usage: node server/server.js [--port 8000] [--host 127.0.0.1] [--fixtures]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONFIG_PATH = path.join(ROOT, 'config', 'espn-config.json');
+
+// Browser modules loaded into the sandbox, in index.html order
+const SANDBOX_SCRIPTS = [
+    'js/median-calculator.js',
+    'js/tiebreakers.js',
+    'js/data-parsers.js',
+    'js/rffl-history.js',
+    'js/mapping-validator.js',
+    'js/roster-settings.js',
+    'js/rffl-data.js',
+    'js/game-clock.js',
+    'js/espn-client.js',
+    'js/espn-api.js',
+    'js/lineup-audit.js'
+];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.yaml': 'text/yaml; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+class ScoresServer {
+    constructor(options = {}) {
+        this.port = options.port || 8000;
+        this.host = options.host || '127.0.0.1';
+        this.dataMode = options.dataMode || null; // 'fixture' overrides config
+        this.config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+        this.cacheTimeout = this.config.cacheTimeout || 5 * 60 * 1000;
+        this.upstreamCache = new Map(); // ESPN URL → { body, status, contentType, timestamp }
+        this.sandbox = null;
+
+        this.routes = [
+            { pattern: /^\/api\/live-scores$/, handler: (req, url) => this.getLiveScores(url) },
+            { pattern: /^\/api\/teams$/, handler: (req, url) => this.getTeams(url) },
+            { pattern: /^\/api\/rosters\/([^/]+)$/, handler: (req, url, match) => this.getRoster(url, decodePath(match[1])) },
+            { pattern: /^\/api\/median$/, handler: (req, url) => this.getMedian(url) },
+            { pattern: /^\/api\/compliance$/, handler: (req, url) => this.getCompliance(url) },
+            { pattern: /^\/api\/roster-settings$/, handler: () => this.getRosterSettings() }
+        ];
+    }
+
+    /**
+     * Load the browser modules into a VM context with a fetch that reads
+     * local files and proxies ESPN through the upstream cache
+     */
+    async createSandbox() {
+        const context = {
+            console,
+            setTimeout,
+            clearTimeout,
+            setInterval,
+            clearInterval,
+            URL,
+            URLSearchParams,
+            AbortController,
+            Response,
+            fetch: (resource, init) => this.sandboxFetch(resource, init)
+        };
+        context.window = context;
+        vm.createContext(context);
+
+        SANDBOX_SCRIPTS.forEach(file => {
+            const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+            vm.runInContext(source, context, { filename: file });
+        });
+
+        await Promise.all([context.espnAPI.ready, context.rfflData.ready]);
+
+        if (this.dataMode) {
+            context.espnAPI.client.mode = this.dataMode;
+        }
+        context.medianCalculator.configure(this.config);
+        context.tiebreakers.configure(this.config);
+
+        this.sandbox = context;
+        return context;
+    }
+
+    async sandboxFetch(resource, init = {}) {
+        const url = String(resource);
+        if (/^https?:\/\//.test(url)) {
+            return this.fetchUpstream(url, init);
+        }
+
+        const pathname = url.replace(/^\.?\//, '/').split('?')[0];
+        if (pathname === '/config/espn-config.json' && this.dataMode) {
+            // Fixture mode from the start, so init doesn't reach for ESPN
+            return new Response(JSON.stringify({ ...this.config, dataMode: this.dataMode }), { status: 200 });
+        }
+
+        const filePath = this.resolveStaticPath(pathname);
+        if (!filePath || !fs.existsSync(filePath)) {
+            return new Response('Not found', { status: 404 });
+        }
+        return new Response(fs.readFileSync(filePath), { status: 200 });
+    }
+
+    /**
+     * Proxy an ESPN request, caching successful responses for cacheTimeout
+     */
+    async fetchUpstream(url, init) {
+        const cached = this.upstreamCache.get(url);
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+            return this.toResponse(cached);
+        }
+
+        const response = await fetch(url, { headers: init.headers, signal: init.signal });
+        const entry = {
+            body: await response.text(),
+            status: response.status,
+            contentType: response.headers.get('content-type') || 'application/json',
+            timestamp: Date.now()
+        };
+
+        if (response.ok) {
+            this.upstreamCache.set(url, entry);
+        }
+        return this.toResponse(entry);
+    }
+
+    toResponse(entry) {
+        return new Response(entry.body, {
+            status: entry.status,
+            headers: { 'content-type': entry.contentType }
+        });
+    }
+
+    // API handlers
+
+    getWeek(url) {
+        const week = parseInt(url.searchParams.get('week'), 10);
+        if (url.searchParams.has('week') && !(week > 0)) {
+            throw new HttpError(400, `Invalid week "${url.searchParams.get('week')}"`);
+        }
+        return week > 0 ? week : this.sandbox.espnAPI.getCurrentWeek();
+    }
+
+    async loadWeek(week) {
+        const espnAPI = this.sandbox.espnAPI;
+        try {
+            // Raw records (players stay server-side in espnAPI.rosters). Never
+            // sample data: the pages fall back to their own last-known-good scores
+            const teams = await espnAPI.fetchRawScores(week, false);
+            return {
+                teams: teams.map(team => this.sandbox.ESPNUtils.normalizeTeamRecord(team)),
+                source: espnAPI.lastDataSource
+            };
+        } catch (error) {
+            throw new HttpError(502, error.message);
+        }
+    }
+
+    async getLiveScores(url) {
+        const week = this.getWeek(url);
+        const { teams, source } = await this.loadWeek(week);
+        return { week, source, fetchedAt: new Date().toISOString(), teams };
+    }
+
+    async getTeams(url) {
+        const week = this.getWeek(url);
+        const { teams, source } = await this.loadWeek(week);
+        const canonical = await this.sandbox.espnAPI.applyCanonicalMapping(teams);
+
+        return {
+            week,
+            source,
+            teams: canonical.map(team => ({
+                team: team.team,
+                canonicalCode: team.canonicalCode,
+                teamName: team.teamName,
+                espnTeamId: team.espnTeamId ?? null,
+                ownerCodes: team.ownerCodes || [],
+                isCoOwned: team.isCoOwned,
+                owner1: team.owner1,
+                owner2: team.owner2
+            }))
+        };
+    }
+
+    async getRoster(url, teamCode) {
+        const week = this.getWeek(url);
+        await this.loadWeek(week);
+
+        const players = await this.sandbox.espnAPI.fetchTeamRoster(teamCode, week);
+        if (!players || players.length === 0) {
+            throw new HttpError(404, `No roster for ${teamCode} in Week ${week}`);
+        }
+
+        return {
+            team: teamCode,
+            week,
+            players,
+            gameProgress: this.sandbox.gameClock.summarize(players)
+        };
+    }
+
+    async getMedian(url) {
+        const week = this.getWeek(url);
+        const { espnAPI, rfflData, medianCalculator, tiebreakers } = this.sandbox;
+
+        let teamScores;
+        try {
+            teamScores = await espnAPI.fetchWeekScores(week, { allowSample: false, forceRefresh: true });
+        } catch (error) {
+            throw new HttpError(502, error.message);
+        }
+
+        const results = medianCalculator.calculateMedian(rfflData.enrichTeamData(teamScores, espnAPI.year, week), week);
+        const resolved = await tiebreakers.resolveTies(results, team => espnAPI.fetchTeamRoster(team.team, week), { season: espnAPI.year });
+        return { ...resolved, source: espnAPI.lastDataSource };
+    }
+
+    async getCompliance(url) {
+        const week = this.getWeek(url);
+        const { espnAPI, lineupAudit } = this.sandbox;
+        const results = await this.getMedian(url);
+
+        const rosters = new Map();
+        await Promise.all(results.teams.map(async team => {
+            rosters.set(team.team, await espnAPI.fetchTeamRoster(team.team, week));
+        }));
+
+        const audit = lineupAudit.auditLeague(results, rosters, { pastWeek: week < espnAPI.getCurrentWeek() });
+        return { ...audit, source: results.source, report: lineupAudit.formatReport(audit) };
+    }
+
+    getRosterSettings() {
+        const rosterSettings = this.sandbox.rosterSettings;
+        return { ...rosterSettings.toJSON(), starters: rosterSettings.getStarterCount(), summary: rosterSettings.describe() };
+    }
+
+    // HTTP plumbing
+
+    /**
+     * Route a request; errors propagate to sendError (see start)
+     */
+    async handleRequest(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return this.sendJson(res, 405, { error: 'Method not allowed' });
+        }
+
+        const url = this.parseUrl(req.url);
+        const route = this.routes.find(r => r.pattern.test(url.pathname));
+        if (route) {
+            const body = await route.handler(req, url, url.pathname.match(route.pattern));
+            return this.sendJson(res, 200, body);
+        }
+
+        if (url.pathname.startsWith('/api/')) {
+            throw new HttpError(404, `Unknown endpoint ${url.pathname}`);
+        }
+
+        const filePath = this.resolveStaticPath(url.pathname === '/' ? '/index.html' : url.pathname);
+        if (!filePath) {
+            throw new HttpError(403, 'Forbidden');
+        }
+
+        // Compared after decoding, so /config%2Fespn-config.json is caught too
+        if (filePath === CONFIG_PATH) {
+            return this.sendJson(res, 200, this.getPublicConfig());
+        }
+
+        return this.serveStatic(filePath, res);
+    }
+
+    /**
+     * Parse the request target against a fixed origin (the Host header is
+     * client-controlled and not needed for routing)
+     */
+    parseUrl(target) {
+        try {
+            return new URL(target, 'http://localhost');
+        } catch (error) {
+            throw new HttpError(400, 'Malformed request URL');
+        }
+    }
+
+    /**
+     * Config as served to browsers: private-league cookies stay on the
+     * server, and pages are pointed at this server's API
+     */
+    getPublicConfig() {
+        const { espnS2, swid, ...config } = this.config;
+        return {
+            ...config,
+            dataMode: this.dataMode || config.dataMode,
+            scoresApi: '/api'
+        };
+    }
+
+    serveStatic(filePath, res) {
+        fs.stat(filePath, (error, stats) => {
+            if (error || !stats.isFile()) {
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                return res.end('Not found');
+            }
+
+            res.writeHead(200, {
+                'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+                'Content-Length': stats.size,
+                'Cache-Control': 'no-cache'
+            });
+            fs.createReadStream(filePath).pipe(res);
+        });
+    }
+
+    /**
+     * Map a URL path into the site root, rejecting traversal outside it and
+     * dot-segments (.git, .env, ..)
+     * @returns {string|null} - the file path, or null when forbidden
+     */
+    resolveStaticPath(pathname) {
+        const decoded = decodePath(pathname);
+        if (decoded.split(/[\\/]/).some(segment => segment.startsWith('.'))) {
+            return null;
+        }
+
+        const filePath = path.join(ROOT, path.normalize(decoded));
+        return filePath.startsWith(ROOT + path.sep) ? filePath : null;
+    }
+
+    sendJson(res, status, body) {
+        const payload = JSON.stringify(body);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(payload),
+            'Cache-Control': 'no-store'
+        });
+        res.end(payload);
+    }
+
+    /**
+     * Answer a failed request: HttpErrors with their status, anything else
+     * with 500 (one bad request must not take the server down)
+     */
+    sendError(req, res, error) {
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status === 500) console.error(`❌ ${req.method} ${req.url}:`, error);
+
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        return this.sendJson(res, status, { error: error.message });
+    }
+
+    async start() {
+        await this.createSandbox();
+
+        const server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => this.sendError(req, res, error));
+        });
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(this.port, this.host, resolve);
+        });
+
+        const mode = this.dataMode || this.config.dataMode || 'live';
+        const host = this.host === '127.0.0.1' ? 'localhost' : this.host;
+        console.log(`🏈 RFFL scores server on http://${host}:${this.port} (${mode} data)`);
+        if (this.host !== '127.0.0.1' && this.host !== 'localhost') {
+            console.warn('⚠️  Listening beyond this machine: anyone on the network can reach the scores API');
+        }
+        return server;
+    }
+}
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * decodeURIComponent that answers 400 for malformed escapes (e.g. "%E0%A4%A")
+ */
+function decodePath(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed percent-escape in URL');
+    }
+}
+
+function parseArgs(argv) {
+    const options = {
+        port: parseInt(process.env.PORT, 10) || 8000,
+        host: process.env.RFFL_HOST || '127.0.0.1',
+        dataMode: process.env.RFFL_DATA_MODE || null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--host') options.host = argv[++i];
+        else if (argv[i] === '--fixtures') options.dataMode = 'fixture';
+    }
+    return options;
+}
+
+if (require.main === module) {
+    new ScoresServer(parseArgs(process.argv.slice(2))).start().catch(error => {
+        console.error('❌ Failed to start server:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { ScoresServer };
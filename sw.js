@@ -0,0 +1,154 @@
+/**
+ * RFFL Median Webapp - Service Worker
+ * Precaches the static app shell (pages, scripts, styles, league config and
+ * canonical data) and serves it stale-while-revalidate, so the pages open
+ * on stadium Wi-Fi or with no network at all. CDN assets are cached on
+ * first use.
+ *
+ * Scores (/api/*, ESPN) always go to the network: the pages fall back to
+ * their last-known-good scores (js/score-cache.js) and say how old they
+ * are. A background sync registered while offline (js/offline-support.js)
+ * tells open pages to refresh once connectivity returns.
+ *
+ * Push messages carry a js/median-notifications.js notification as JSON
+ * ({ title, body, tag, url }); tapping one opens or focuses the live page.
+ *
+ * Bump SHELL_CACHE when the shell file list changes.
+ */
+
+const SHELL_CACHE = 'rffl-shell-v2';
+const SCORE_SYNC_TAG = 'rffl-score-sync';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'live-mobile.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/design-tokens.css',
+    'css/components.css',
+    'css/mobile.css',
+    'js/median-calculator.js',
+    'js/tiebreakers.js',
+    'js/win-probability.js',
+    'js/snapshot-store.js',
+    'js/score-cache.js',
+    'js/offline-support.js',
+    'js/data-parsers.js',
+    'js/rffl-history.js',
+    'js/franchise-lineage.js',
+    'js/mapping-validator.js',
+    'js/roster-settings.js',
+    'js/rffl-data.js',
+    'js/game-clock.js',
+    'js/espn-client.js',
+    'js/espn-api.js',
+    'js/lineup-audit.js',
+    'js/projection-tracker.js',
+    'js/season-standings.js',
+    'js/team-sheet.js',
+    'js/my-team.js',
+    'js/team-comparison.js',
+    'js/median-notifications.js',
+    'js/mobile-ui.js',
+    'js/main.js',
+    'config/espn-config.json',
+    'data/alias_mapping.yaml',
+    'data/canonical_teams.csv'
+];
+
+// Third-party hosts the pages load scripts, styles and fonts from
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    // One missing file (e.g. data not linked in this checkout) must not block the rest
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => Promise.all(SHELL_FILES.map(file =>
+                cache.add(file).catch(error => console.warn(`Not precached: ${file}`, error.message)))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('rffl-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const isShell = url.origin === self.location.origin
+        ? !url.pathname.startsWith('/api/') && !url.pathname.includes('/fixtures/')
+        : CDN_HOSTS.includes(url.hostname);
+    if (!isShell) return; // scores and anything else go straight to the network
+
+    event.respondWith(staleWhileRevalidate(event, request));
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SCORE_SYNC_TAG) {
+        event.waitUntil(notifyPages({ type: 'sync-scores' }));
+    }
+});
+
+self.addEventListener('push', (event) => {
+    let notification;
+    try {
+        notification = event.data ? event.data.json() : null;
+    } catch (error) {
+        notification = { title: 'RFFL', body: event.data.text() };
+    }
+    if (!notification?.title) return;
+
+    event.waitUntil(self.registration.showNotification(notification.title, {
+        body: notification.body,
+        tag: notification.tag,
+        renotify: Boolean(notification.tag),
+        icon: 'icons/icon.svg',
+        data: { url: notification.url || 'live-mobile.html' }
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || 'live-mobile.html', self.registration.scope).href;
+
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(pages => {
+        const open = pages.find(page => page.url.split('?')[0] === url.split('?')[0]);
+        return open ? open.focus() : self.clients.openWindow(url);
+    }));
+});
+
+/**
+ * Cached copy now (pages match without their ?week=/?team= query), refreshed
+ * from the network in the background; the network when nothing is cached
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const network = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => null));
+        return cached;
+    }
+    return network;
+}
+
+async function notifyPages(message) {
+    const pages = await self.clients.matchAll({ type: 'window' });
+    pages.forEach(page => page.postMessage(message));
+}